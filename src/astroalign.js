@@ -21,15 +21,426 @@
 // SOFTWARE.
 
 import createKDTree from "static-kdtree";
-import nudged from "nudged";
+import ndarray from "ndarray";
+import warp from "ndarray-warp";
+import { fitDistortion } from "./catalog.js";
+import { bw, data, like } from "./image.js";
+import { INTERPOLATIONS, resample } from "./interpolate.js";
+import {
+  CENTROIDS,
+  median,
+  binImage,
+  extractSources,
+  measureSources,
+} from "./sources.js";
+import { transformClass, toTransform } from "./transform.js";
+import {
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError,
+} from "./errors.js";
 
 const NUM_NEAREST_NEIGHBORS = 5;
 const MIN_MATCHES_FRACTION = 0.8;
 const PIXEL_TOL = 2;
+// Maximum search distance in invariant space. 0.1 is an empirical value that
+// returns about the same number of matches than inputs
+const MATCH_RADIUS = 0.1;
 
-function register(image1, image2) {
-  console.log("Registering images");
-  return image1 + image2;
+/**
+ * Default values of the options accepted by findTransform.
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  maxControlPoints: 50,
+  detectionSigma: 5,
+  minArea: 5,
+  centroid: "moments",
+  saturation: null,
+  tileSize: null,
+  binning: 1,
+  model: "similarity",
+  parity: "auto",
+  numNearestNeighbors: NUM_NEAREST_NEIGHBORS,
+  minMatchesFraction: MIN_MATCHES_FRACTION,
+  pixelTol: PIXEL_TOL,
+  matchRadius: MATCH_RADIUS,
+  maxIter: Infinity,
+  confidence: 0.999,
+  seed: null,
+  sourceMask: null,
+  targetMask: null,
+  sourceKind: "auto",
+  targetKind: "auto",
+});
+
+// Ways to read the source and target inputs, see isPointList
+const INPUT_KINDS = ["auto", "points", "image"];
+
+// Checks for each option, returning an error message for invalid values
+const OPTION_CHECKS = {
+  maxControlPoints: (v) =>
+    Number.isInteger(v) && v >= 3 ? null : "an integer greater than 2",
+  detectionSigma: (v) =>
+    Number.isFinite(v) && v > 0 ? null : "a positive number",
+  minArea: (v) => (Number.isInteger(v) && v >= 1 ? null : "a positive integer"),
+  centroid: (v) =>
+    CENTROIDS.includes(v) ? null : `one of ${CENTROIDS.join(", ")}`,
+  saturation: (v) =>
+    v === null || Number.isFinite(v) ? null : "null or a finite number",
+  tileSize: (v) =>
+    v === null || (Number.isInteger(v) && v >= 16)
+      ? null
+      : "null or an integer of at least 16",
+  binning: (v) => (Number.isInteger(v) && v >= 1 ? null : "a positive integer"),
+  model: (v) => {
+    transformClass(v);
+    return null;
+  },
+  parity: (v) =>
+    v === "auto" || v === 1 || v === -1 ? null : '"auto", 1 or -1',
+  numNearestNeighbors: (v) =>
+    Number.isInteger(v) && v >= 3 ? null : "an integer greater than 2",
+  minMatchesFraction: (v) =>
+    Number.isFinite(v) && v > 0 && v <= 1 ? null : "a number in (0, 1]",
+  pixelTol: (v) => (Number.isFinite(v) && v > 0 ? null : "a positive number"),
+  matchRadius: (v) =>
+    Number.isFinite(v) && v > 0 ? null : "a positive number",
+  maxIter: (v) =>
+    (Number.isInteger(v) && v >= 1) || v === Infinity
+      ? null
+      : "a positive integer or Infinity",
+  confidence: (v) =>
+    Number.isFinite(v) && v > 0 && v <= 1 ? null : "a number in (0, 1]",
+  seed: (v) =>
+    v === null || (Number.isInteger(v) && v >= 0 && v < 2 ** 32)
+      ? null
+      : "null or an integer in [0, 2^32)",
+  sourceMask: (v) => (typeof v === "object" ? null : "null or an image"),
+  targetMask: (v) => (typeof v === "object" ? null : "null or an image"),
+  sourceKind: (v) =>
+    INPUT_KINDS.includes(v) ? null : `one of ${INPUT_KINDS.join(", ")}`,
+  targetKind: (v) =>
+    INPUT_KINDS.includes(v) ? null : `one of ${INPUT_KINDS.join(", ")}`,
+};
+
+/**
+ * Merge the user options with the defaults and validate them.
+ *
+ * @param {Object} options - Options given by the user
+ * @returns {Object} The complete set of options
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ * @throws {RangeError} If a numeric option is out of range
+ */
+function resolveOptions(options = {}) {
+  if (options === null || typeof options !== "object") {
+    throw new TypeError("Options must be an object.");
+  }
+  const resolved = { ...DEFAULT_OPTIONS };
+  for (const [name, value] of Object.entries(options)) {
+    if (!Object.hasOwn(DEFAULT_OPTIONS, name)) {
+      throw new TypeError(`Unknown option "${name}".`);
+    }
+    if (value === undefined) {
+      continue;
+    }
+    const expected = OPTION_CHECKS[name](value);
+    if (expected !== null) {
+      const ErrorClass = typeof value === "number" ? RangeError : TypeError;
+      throw new ErrorClass(
+        `Option "${name}" must be ${expected}, got ${String(value)}.`
+      );
+    }
+    resolved[name] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Return the options object from an options argument or, for backward
+ * compatibility, build it from positional arguments.
+ *
+ * @param {Array} args - Arguments after the images
+ * @param {string[]} names - Option names of the positional arguments
+ * @returns {Object} The options given by the user
+ */
+function optionsFromArgs(args, names) {
+  if (args.length === 1 && typeof args[0] === "object" && args[0] !== null) {
+    return args[0];
+  }
+  return Object.fromEntries(
+    names
+      .map((name, i) => [name, args[i]])
+      .filter(([name, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Default values of the resampling options of applyTransform.
+ */
+const RESAMPLE_DEFAULTS = Object.freeze({
+  fillValue: null,
+  interpolation: "bilinear",
+  conserveFlux: false,
+  mask: null,
+});
+
+/**
+ * Merge the resampling options with their defaults and validate them.
+ *
+ * For backward compatibility, a number or null is taken as the fillValue.
+ *
+ * @param {Object|number|null} options - Resampling options, see applyTransform
+ * @returns {Object} The complete set of resampling options
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ */
+function resolveResampleOptions(options = {}) {
+  if (options === null || typeof options === "number") {
+    options = { fillValue: options };
+  }
+  if (typeof options !== "object") {
+    throw new TypeError("Options must be an object.");
+  }
+  const resolved = { ...RESAMPLE_DEFAULTS };
+  for (const [name, value] of Object.entries(options)) {
+    if (!Object.hasOwn(RESAMPLE_DEFAULTS, name)) {
+      throw new TypeError(`Unknown option "${name}".`);
+    }
+    if (value !== undefined) {
+      resolved[name] = value;
+    }
+  }
+  const { fillValue, interpolation, conserveFlux, mask } = resolved;
+  if (fillValue !== null && typeof fillValue !== "number") {
+    throw new TypeError(
+      `Option "fillValue" must be null or a number, got ${String(fillValue)}.`
+    );
+  }
+  if (!INTERPOLATIONS.includes(interpolation)) {
+    throw new TypeError(
+      `Option "interpolation" must be one of ${INTERPOLATIONS.join(", ")}, ` +
+        `got ${String(interpolation)}.`
+    );
+  }
+  if (typeof conserveFlux !== "boolean") {
+    throw new TypeError(
+      `Option "conserveFlux" must be a boolean, got ${String(conserveFlux)}.`
+    );
+  }
+  if (typeof mask !== "object") {
+    throw new TypeError(
+      `Option "mask" must be null or an image, got ${String(mask)}.`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Split an options object into the resampling options of applyTransform
+ * and the options of findTransform.
+ *
+ * @param {Object} options - Options given by the user
+ * @returns {[Object, Object]} Array containing [resampleOptions, findOptions]
+ */
+function splitResampleOptions(options) {
+  const resampleOptions = {};
+  const findOptions = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (Object.hasOwn(RESAMPLE_DEFAULTS, name)) {
+      resampleOptions[name] = value;
+    } else {
+      findOptions[name] = value;
+    }
+  }
+  return [resampleOptions, findOptions];
+}
+
+/**
+ * Transform the source image to match the target image.
+ *
+ * Find the transform between source and target (see findTransform) and
+ * resample the source image into the pixel grid of the target.
+ *
+ * Accepts the same options as findTransform, plus the resampling options of
+ * applyTransform. The `sourceMask` is used both to detect the sources and
+ * as the `mask` of applyTransform. For backward compatibility, the options
+ * can also be given as the positional arguments (fillValue,
+ * maxControlPoints, detectionSigma, minArea).
+ *
+ * With `distortionOrder`, the image is resampled with a polynomial
+ * distortion model fitted to all the control points, see fitDistortion,
+ * instead of the transform found by findTransform. Raise maxControlPoints
+ * so that the control points cover the whole field.
+ *
+ * @param {number[][]|Object} source - Source image, in any of the formats accepted by findTransform
+ * @param {number[][]|Object} target - Target image, in any of the formats accepted by findTransform
+ * @param {Object} options - Options object, see findTransform
+ * @param {number|null} options.fillValue - Value for the pixels of the aligned image that fall outside the source image, or null (default) to leave them as interpolated
+ * @param {string} options.interpolation - Interpolation method, see applyTransform (default "bilinear")
+ * @param {boolean} options.conserveFlux - Whether to conserve the flux, see applyTransform (default false)
+ * @param {number|null} options.distortionOrder - Order of the polynomial distortion model to resample with, or null (default) to use the transform of findTransform
+ * @returns {[number[][]|Object, boolean[][]|Object]} Array containing [alignedImage, footprint], see applyTransform
+ * @throws {TooFewSourcesError} If fewer control points are matched than needed by the distortion model
+ */
+function register(source, target, ...args) {
+  const { distortionOrder = null, ...options } = optionsFromArgs(args, [
+    "fillValue",
+    "maxControlPoints",
+    "detectionSigma",
+    "minArea",
+  ]);
+  const [resampleOptions, findOptions] = splitResampleOptions(options);
+  resampleOptions.mask ??= findOptions.sourceMask;
+  // Validate before the expensive search for the transform
+  resolveResampleOptions(resampleOptions);
+  if (
+    distortionOrder !== null &&
+    (!Number.isInteger(distortionOrder) || distortionOrder < 1)
+  ) {
+    const ErrorClass =
+      typeof distortionOrder === "number" ? RangeError : TypeError;
+    throw new ErrorClass(
+      'Option "distortionOrder" must be null or a positive integer, ' +
+        `got ${String(distortionOrder)}.`
+    );
+  }
+  const result = findTransform(source, target, findOptions);
+  let { transform } = result;
+  if (distortionOrder !== null) {
+    ({ transform } = fitDistortion(
+      transform,
+      result.sourceControlPoints,
+      result.targetControlPoints,
+      {
+        order: distortionOrder,
+        radius: findOptions.pixelTol ?? DEFAULT_OPTIONS.pixelTol,
+      }
+    ));
+  }
+  return applyTransform(transform, source, target, resampleOptions);
+}
+
+/**
+ * Apply the transformation `transform` to the source image.
+ *
+ * The source image is resampled into an image with the same height and
+ * width as target, with one of the interpolation methods:
+ *   - "nearest": the value of the nearest pixel, fast but blocky
+ *   - "bilinear": linear interpolation of the 4 nearest pixels (default)
+ *   - "bicubic": cubic convolution of the 16 nearest pixels
+ *   - "lanczos": Lanczos-3 windowed sinc of the 36 nearest pixels, the
+ *     sharpest, though it may ring around bright stars
+ * Multi-channel images are resampled channel by channel. The footprint is
+ * a boolean mask that is true for the pixels of the aligned image that fall
+ * outside the source.
+ *
+ * Bad pixels, those set in `mask` and those that are NaN in the source,
+ * are treated like pixels outside the source: they count as zero in the
+ * interpolation, and the aligned pixels that depend mostly on them are set
+ * in the footprint.
+ *
+ * Interpolated values keep the surface brightness of the source. With
+ * `conserveFlux`, each value is also multiplied by the area of source pixels
+ * that the aligned pixel covers (the Jacobian determinant of the inverse
+ * transform, 1 / scale^2 for a similarity), so that the total flux of a star
+ * is the same in both images.
+ *
+ * Both the aligned image and the footprint are returned in the same format
+ * as the source image: nested arrays for nested arrays, ndarrays for
+ * ndarrays and `{data, width, height}` objects for anything else.
+ *
+ * @param {Transform|Object} transform - Transform that maps source pixels into target pixels, as returned by findTransform, or a nudged transform
+ * @param {number[][]|Object} source - Source image, in any of the formats accepted by findTransform
+ * @param {number[][]|Object} target - Target image, used only for its shape
+ * @param {Object|number|null} options - Resampling options or, for backward compatibility, the fillValue
+ * @param {number|null} options.fillValue - Value for the pixels where footprint is true, or null (default) to leave them as interpolated
+ * @param {string} options.interpolation - One of "nearest", "bilinear" (default), "bicubic" or "lanczos"
+ * @param {boolean} options.conserveFlux - Whether to scale the values by the area change of the transform (default false)
+ * @param {boolean[][]|Object|null} options.mask - Mask of the bad pixels of the source, true for bad pixels, with the same height and width (default null)
+ * @returns {[number[][]|Object, boolean[][]|Object]} Array containing [alignedImage, footprint]
+ * @throws {InvalidInputError} If source, target or mask are not supported images
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ */
+function applyTransform(transform, source, target, options = {}) {
+  const resampleRows = resampler(transform, source, options);
+  const [height, width] = readImage(target, "target").shape;
+  const [aligned, footprint] = resampleRows(0, height, width);
+  return [like(source, aligned), like(source, footprint, Boolean)];
+}
+
+/**
+ * Return a function that resamples rows of the aligned image of
+ * applyTransform, so that large aligned images can be built a block of rows
+ * at a time, see stack.
+ *
+ * The source pixels are read in place, and the bad pixels are looked up in
+ * the source and the mask as needed, so that the only buffers are those of
+ * the resampled rows.
+ *
+ * @param {Transform|Object} transform - Transform that maps source pixels into target pixels, see applyTransform
+ * @param {number[][]|Object} source - Source image, in any of the formats accepted by findTransform
+ * @param {Object|number|null} options - Resampling options, see applyTransform
+ * @returns {Function} Function (y0, y1, width) returning the [aligned, footprint] ndarrays of rows y0 to y1 (excluded) of the aligned image, of shape (y1 - y0, width) or (y1 - y0, width, channels)
+ * @throws {InvalidInputError} If source or mask are not supported images
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ */
+function resampler(transform, source, options = {}) {
+  const { fillValue, interpolation, conserveFlux, mask } =
+    resolveResampleOptions(options);
+  const src = readImage(source, "source");
+  const channels = src.shape.length === 3 ? src.shape[2] : 1;
+  const isBad = badPixelTest(src, mask, "source");
+  const inv = toTransform(transform).inverse();
+
+  return (y0, y1, width) => {
+    const height = y1 - y0;
+    // The warp maps pixels of the output into pixels of the source image,
+    // and ndarray indices are in (row, column) = (y, x) order.
+    const mapping = (out, idx) => {
+      const [x, y] = inv.apply([idx[1], idx[0] + y0]);
+      out[0] = y;
+      out[1] = x;
+    };
+
+    // Out-of-bounds pixels interpolate as zero, so warping an image of ones
+    // (zeros for bad pixels) tells how much of each output pixel is covered
+    // by good pixels of the source.
+    const ones = {
+      shape: src.shape.slice(0, 2),
+      get: isBad === null ? () => 1 : (y, x) => (isBad(y, x) ? 0 : 1),
+    };
+    const coverage = ndarray(new Float64Array(width * height), [height, width]);
+    warp(coverage, ones, mapping);
+    const footprint = ndarray(new Uint8Array(width * height), [height, width]);
+    for (let i = 0; i < footprint.size; i++) {
+      footprint.data[i] = coverage.data[i] < 0.6 ? 1 : 0;
+    }
+
+    const shape = channels > 1 ? [height, width, channels] : [height, width];
+    const aligned = ndarray(new Float64Array(width * height * channels), shape);
+    for (let c = 0; c < channels; c++) {
+      let srcChannel = channels > 1 ? src.pick(null, null, c) : src;
+      if (isBad !== null) {
+        const channel = srcChannel;
+        srcChannel = {
+          shape: channel.shape,
+          get: (y, x) => (isBad(y, x) ? 0 : channel.get(y, x)),
+        };
+      }
+      const channel = channels > 1 ? aligned.pick(null, null, c) : aligned;
+      resample(channel, srcChannel, mapping, interpolation);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (fillValue !== null && footprint.get(y, x)) {
+            channel.set(y, x, fillValue);
+          } else if (conserveFlux) {
+            const area = Math.abs(inv.areaChange([x, y + y0]));
+            channel.set(y, x, channel.get(y, x) * area);
+          }
+        }
+      }
+    }
+    return [aligned, footprint];
+  };
 }
 
 /**
@@ -120,11 +531,20 @@ function arrangeTriplet(sources, vertexIndices) {
  * Return an array of the indices of `sources` that correspond to each
  * invariant, arranged as described in arrangeTriplet.
  *
+ * Triangles are built from each source and its nearest neighbors, visiting
+ * the sources in order. A triangle found more than once is returned only
+ * once, at the position of its last occurrence, so the output order is
+ * deterministic for a given `sources` array. Removing duplicates takes
+ * linear time in the number of triangles.
+ *
  * @param {number[][]} sources - Array of source points
- * @param {number} NUM_NEAREST_NEIGHBORS - Number of nearest neighbors to consider
+ * @param {number} numNearestNeighbors - Number of nearest neighbors to consider
  * @returns {[number[][], number[][]]} Array containing [invariants, triangleVertices]
  */
-function generateInvariants(sources) {
+function generateInvariants(
+  sources,
+  numNearestNeighbors = NUM_NEAREST_NEIGHBORS
+) {
   // Create a partial function equivalent (arrange with sources bound)
   const arrange = (vertexIndices) => arrangeTriplet(sources, vertexIndices);
 
@@ -133,7 +553,7 @@ function generateInvariants(sources) {
   // Create KDTree from sources
   const coordTree = createKDTree(sources);
   // The number of nearest neighbors to request (to work with few sources)
-  const knn = Math.min(sources.length, NUM_NEAREST_NEIGHBORS);
+  const knn = Math.min(sources.length, numNearestNeighbors);
   for (const asrc of sources) {
     // Query nearest neighbors
     const indx = coordTree.knn(asrc, knn);
@@ -160,17 +580,22 @@ function generateInvariants(sources) {
     inv.push(...triangleInvariants);
   }
 
-  // Remove all possible duplicate triangles
+  // Remove all possible duplicate triangles. The same triangle is found from
+  // each of its vertices, so it is identified by its sorted vertex indices.
+  // Only the last occurrence of each triangle is kept, in order of position.
+  const n = sources.length;
+  const keys = triangVrtx.map((triplet) => {
+    const [i, j, k] = [...triplet].sort((a, b) => a - b);
+    return (i * n + j) * n + k;
+  });
+  const lastPos = new Map();
+  keys.forEach((key, pos) => lastPos.set(key, pos));
   const uniqInd = [];
-  for (let pos = 0; pos < inv.length; pos++) {
-    const elem = inv[pos];
-    const isDuplicate = inv
-      .slice(pos + 1)
-      .some((item) => item[0] === elem[0] && item[1] === elem[1]);
-    if (!isDuplicate) {
+  keys.forEach((key, pos) => {
+    if (lastPos.get(key) === pos) {
       uniqInd.push(pos);
     }
-  }
+  });
 
   const invUniq = uniqInd.map((i) => inv[i]);
   const triangVrtxUniq = uniqInd.map((i) => triangVrtx[i]);
@@ -178,153 +603,745 @@ function generateInvariants(sources) {
   return [invUniq, triangVrtxUniq];
 }
 
+/**
+ * Return the weights of a list of (x, y) or (x, y, weight) points, divided
+ * by the median of the given weights so that a typical point has a weight
+ * of 1. Points without a weight count as typical.
+ *
+ * @param {number[][]} points - Array of points
+ * @returns {Float64Array|null} The normalized weights, or null if no point has a weight
+ */
+function pointWeights(points) {
+  const given = Float64Array.from(
+    points.filter((p) => p.length > 2),
+    (p) => p[2]
+  );
+  if (given.length === 0) {
+    return null;
+  }
+  const typical = median(given);
+  return Float64Array.from(points, (p) => (p.length > 2 ? p[2] / typical : 1));
+}
+
 /**
  * Class for matching and transforming between source and target point sets.
  */
 class MatchTransform {
   /**
    * Initialize with source and target point sets.
+   *
+   * Points given as (x, y, weight) rows are weighted, see pointWeights:
+   * the fit is a weighted least squares, and the residuals are normalized
+   * by the uncertainty of each pair of points.
+   *
    * @param {number[][]} source - Source points
    * @param {number[][]} target - Target points
+   * @param {string} model - Transform model to fit: "similarity", "affine" or "projective"
+   * @param {string|number} parity - Parity of the transforms to fit: "auto" for either, 1 for proper or -1 for mirrored transforms
    */
-  constructor(source, target) {
+  constructor(source, target, model = "similarity", parity = 1) {
     this.source = source;
     this.target = target;
+    this.model = model;
+    this.parity = parity;
+    this.transformClass = transformClass(model);
+    // A homography needs at least 4 points, i.e. two triangles
+    this.minTriangles = model === "projective" ? 2 : 1;
+    this.sourceWeights = pointWeights(source);
+    this.targetWeights = pointWeights(target);
   }
 
   /**
-   * Return the best 2D similarity transform from the points given in data.
+   * Return the weights of pairs of matching points: the inverse of the sum
+   * of their variances, scaled to 1 for two points of weight 1.
+   *
+   * @param {number[][]} pairs - Pairs [s, t] of source and target point indices
+   * @returns {number[]|null} The weight of each pair, or null if no point is weighted
+   */
+  pairWeights(pairs) {
+    if (this.sourceWeights === null && this.targetWeights === null) {
+      return null;
+    }
+    return pairs.map(([s, t]) => {
+      const ws = this.sourceWeights === null ? 1 : this.sourceWeights[s];
+      const wt = this.targetWeights === null ? 1 : this.targetWeights[t];
+      return 2 / (1 / ws + 1 / wt);
+    });
+  }
+
+  /**
+   * Return the best 2D transform of the model in use from the points given
+   * in data.
+   *
+   * Similarities are fitted with each allowed parity, keeping the fit with
+   * the smallest residuals. Affine and projective fits can mirror the
+   * points by themselves.
    *
    * @param {number[][][]} data - N sets of similar corresponding triangles.
    *   3 indices for a triangle in ref and the 3 indices for the corresponding
    *   triangle in target; arranged in a (N, 3, 2) array.
-   * @returns {Object} The estimated transform object
+   * @returns {Transform} The estimated transform object
    */
   fit(data) {
-    const sourcePoints = data
-      .flat()
-      .map(([s, t]) => nudged.point.fromArray(this.source[s]));
-    const targetPoints = data
-      .flat()
-      .map(([s, t]) => nudged.point.fromArray(this.target[t]));
-
-    // Estimate similarity transform
-    const approxT = nudged.estimate({
-      estimator: "TSR",
-      domain: sourcePoints,
-      range: targetPoints,
-    });
-    return approxT;
+    const sourcePoints = data.flat().map(([s, t]) => this.source[s]);
+    const targetPoints = data.flat().map(([s, t]) => this.target[t]);
+    const weights = this.pairWeights(data.flat());
+    if (this.model !== "similarity") {
+      return this.transformClass.estimate(sourcePoints, targetPoints, weights);
+    }
+    const parities = this.parity === "auto" ? [1, -1] : [this.parity];
+    let best = null;
+    let bestErr = Infinity;
+    for (const parity of parities) {
+      const fit = this.transformClass.estimate(
+        sourcePoints,
+        targetPoints,
+        parity,
+        weights
+      );
+      const err = fit
+        .residuals(sourcePoints, targetPoints)
+        .reduce(
+          (sum, r, i) => sum + (weights === null ? 1 : weights[i]) * r * r,
+          0
+        );
+      if (best === null || err < bestErr) {
+        best = fit;
+        bestErr = err;
+      }
+    }
+    return best;
   }
 
   /**
    * Calculate the error for a given transform and data.
    *
+   * For weighted points, each residual is multiplied by the square root of
+   * the weight of its pair, so that it is in pixels for a pair of typical
+   * points, smaller for noisy points and larger for precise ones.
+   *
    * @param {number[][][]} data - Triangle correspondence data
-   * @param {Object} approxT - The estimated transform object
+   * @param {Transform} approxT - The estimated transform object
    * @returns {number[]} Array of maximum residuals for each triangle
    */
   getError(data, approxT) {
+    if (this.parity !== "auto" && approxT.parity !== this.parity) {
+      return data.map(() => Infinity);
+    }
     const residuals = data.map((triangle) => {
-      const sourcePoints = triangle.map(([s, t]) =>
-        nudged.point.fromArray(this.source[s])
-      );
-      const targetPoints = triangle.map(([s, t]) =>
-        nudged.point.fromArray(this.target[t])
-      );
-      const r = nudged.analysis.residuals(approxT, sourcePoints, targetPoints);
+      const sourcePoints = triangle.map(([s, t]) => this.source[s]);
+      const targetPoints = triangle.map(([s, t]) => this.target[t]);
+      const weights = this.pairWeights(triangle);
+      const r = approxT
+        .residuals(sourcePoints, targetPoints)
+        .map((v, i) => (weights === null ? v : v * Math.sqrt(weights[i])));
       return Math.max(...r);
     });
     return residuals;
   }
 }
 
-function data(data) {
-  return data;
+/**
+ * Return true if `input` is to be read as an array of (x, y) or
+ * (x, y, weight) rows rather than as an image.
+ *
+ * With `kind` "auto", only plain JS arrays are considered: a nested array
+ * whose rows have two or three numbers is a list of points, so that nested
+ * arrays with two or three columns are only read as images with `kind`
+ * "image". With `kind` "points", input must be a list of points.
+ *
+ * @param {*} input - Any of the inputs accepted by findTransform
+ * @param {string} which - Name of the input for error messages: "source" or "target"
+ * @param {string} kind - How to read the input: "auto" (default), "points" or "image"
+ * @returns {boolean} Whether input is a list of points
+ * @throws {InvalidInputError} If kind is "points" and input is not a list of points
+ */
+function isPointList(input, which, kind = "auto") {
+  if (kind === "image") {
+    return false;
+  }
+  if (kind === "auto") {
+    return (
+      Array.isArray(input) &&
+      Array.isArray(input[0]) &&
+      (input[0].length === 2 || input[0].length === 3) &&
+      typeof input[0][0] === "number"
+    );
+  }
+  const invalid = Array.isArray(input)
+    ? input.findIndex(
+        (p) =>
+          !Array.isArray(p) ||
+          (p.length !== 2 && p.length !== 3) ||
+          !Number.isFinite(p[0]) ||
+          !Number.isFinite(p[1])
+      )
+    : 0;
+  if (invalid >= 0) {
+    throw new InvalidInputError(
+      `Input ${which} must be a list of points, but row ${invalid} is not ` +
+        "an (x, y) or (x, y, weight) array of numbers.",
+      { image: which }
+    );
+  }
+  return true;
 }
 
-function bw(data) {
-  return data;
+/**
+ * Return an input image or point list as an ndarray image, see data().
+ *
+ * @param {number[][]|Object} input - Image in any of the formats accepted by data()
+ * @param {string} which - Name of the input for error messages: "source" or "target"
+ * @returns {Object} ndarray view of the image
+ * @throws {InvalidInputError} If the input is not a supported image
+ */
+function readImage(input, which) {
+  try {
+    return data(input);
+  } catch (error) {
+    throw new InvalidInputError(
+      `Input type for ${which} not supported: ${error.message}`,
+      { image: which, cause: error }
+    );
+  }
 }
 
 /**
- * Estimate the transform between source and target.
+ * Return a mask image as an ndarray, checking that it has the height and
+ * width of the image.
  *
- * Returns a transform object that maps pixel x, y indices from the source image
- * into the target (destination) image.
+ * @param {Object} image - 2D or 3D ndarray of shape (height, width, ...)
+ * @param {boolean[][]|Object|null} mask - Mask in any of the image formats, true (or non-zero) for bad pixels, or null
+ * @param {string} which - Name of the image for error messages: "source" or "target"
+ * @returns {Object|null} The mask ndarray, or null if there is no mask
+ * @throws {InvalidInputError} If the mask is not supported or its shape differs from the image
+ */
+function readMask(image, mask, which) {
+  if (mask === null || mask === undefined) {
+    return null;
+  }
+  let maskData;
+  try {
+    maskData = data(mask);
+  } catch (error) {
+    throw new InvalidInputError(
+      `Mask for ${which} not supported: ${error.message}`,
+      { image: which, cause: error }
+    );
+  }
+  if (
+    maskData.shape.length !== 2 ||
+    maskData.shape[0] !== image.shape[0] ||
+    maskData.shape[1] !== image.shape[1]
+  ) {
+    throw new InvalidInputError(
+      `Mask for ${which} must have the same height and width as the image.`,
+      { image: which }
+    );
+  }
+  return maskData;
+}
+
+/**
+ * Return the bad pixels of a 2D image: those set in the mask and those that
+ * are NaN in the image.
  *
- * @param {number[][]|Object} source - Source image array or array of (x, y) coordinates
- * @param {number[][]|Object} target - Target image array or array of (x, y) coordinates
- * @param {number} maxControlPoints - Maximum number of control points to find
- * @param {number} detectionSigma - Factor of background std-dev above which is considered a detection
- * @param {number} minArea - Minimum number of connected pixels to be considered a source
- * @returns {[Object, [number[][], number[][]]]} Transform object and tuple of corresponding positions
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {boolean[][]|Object|null} mask - Mask in any of the image formats, true (or non-zero) for bad pixels, or null
+ * @param {string} which - Name of the image for error messages: "source" or "target"
+ * @returns {Uint8Array|null} 1 for bad pixels in row-major order, or null if there are none
+ * @throws {InvalidInputError} If the mask is not supported or its shape differs from the image
  */
-function findTransform(
-  source,
-  target,
-  maxControlPoints = 50,
-  detectionSigma = 5,
-  minArea = 5
-) {
-  let sourceControlP, targetControlP;
+function badPixels(image, mask, which) {
+  const [height, width] = image.shape;
+  const maskData = readMask(image, mask, which);
+  let bad = null;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (
+        Number.isNaN(image.get(y, x)) ||
+        (maskData !== null && maskData.get(y, x))
+      ) {
+        // Only allocated if there are bad pixels
+        bad ??= new Uint8Array(width * height);
+        bad[y * width + x] = 1;
+      }
+    }
+  }
+  return bad;
+}
 
-  try {
-    const sourceData = data(source);
-    if (sourceData[0] && sourceData[0].length === 2) {
-      // Assume it's a list of (x, y) pairs
-      sourceControlP = sourceData.slice(0, maxControlPoints);
-    } else {
-      // Assume it's a 2D image
-      sourceControlP = _findSources(bw(data(source)), {
+/**
+ * Return a function that tells whether a pixel of an image is bad, like
+ * badPixels but looking the pixels up as needed instead of storing them.
+ * Pixels of multi-channel images are bad if a color channel is NaN.
+ *
+ * @param {Object} image - 2D or 3D ndarray, as returned by data()
+ * @param {boolean[][]|Object|null} mask - Mask in any of the image formats, true (or non-zero) for bad pixels, or null
+ * @param {string} which - Name of the image for error messages: "source" or "target"
+ * @returns {Function|null} Function (y, x) returning true for bad pixels, or null if the image cannot have bad pixels
+ * @throws {InvalidInputError} If the mask is not supported or its shape differs from the image
+ */
+function badPixelTest(image, mask, which) {
+  const maskData = readMask(image, mask, which);
+  const isMasked =
+    maskData === null ? () => false : (y, x) => Boolean(maskData.get(y, x));
+  // Integer pixels cannot be NaN
+  if (/^u?int/.test(image.dtype)) {
+    return maskData === null ? null : isMasked;
+  }
+  if (image.shape.length === 2) {
+    return (y, x) => Number.isNaN(image.get(y, x)) || isMasked(y, x);
+  }
+  const channels = image.shape[2];
+  const nColors = channels === 2 || channels === 4 ? channels - 1 : channels;
+  return (y, x) => {
+    for (let c = 0; c < nColors; c++) {
+      if (Number.isNaN(image.get(y, x, c))) {
+        return true;
+      }
+    }
+    return isMasked(y, x);
+  };
+}
+
+/**
+ * Return the control points of a findTransform input.
+ *
+ * Point lists are truncated to `maxControlPoints`, and sources are detected
+ * in images with extractSources, leaving out the bad pixels of the image and
+ * its mask (`sourceMask` or `targetMask`) and the saturated sources. The
+ * detected sources are not weighted, so that `pixelTol` stays in pixels.
+ *
+ * With a `binning` factor, the sources are detected in a binned copy of the
+ * image, and their positions are in the pixels of the full image. Saturated
+ * sources cannot be told apart in the binned image, so they are left out
+ * when refining the positions, see refinedControlPoints.
+ *
+ * @param {number[][]|Object} input - Image or array of (x, y) coordinates
+ * @param {string} which - Name of the input for error messages: "source" or "target"
+ * @param {Object} options - Options of findTransform
+ * @returns {number[][]} Array of at least 3, or 4 for the projective model, (x, y) or (x, y, weight) control points
+ * @throws {InvalidInputError} If the input is not supported or a weight is not positive
+ * @throws {TooFewSourcesError} If there are less than 3 control points, or 4 for the projective model
+ */
+function controlPoints(input, which, options) {
+  const {
+    maxControlPoints,
+    detectionSigma,
+    minArea,
+    centroid,
+    saturation,
+    tileSize,
+    binning,
+  } = options;
+  let controlP;
+  if (isPointList(input, which, options[`${which}Kind`])) {
+    // Assume it's a list of (x, y) pairs or (x, y, weight) rows
+    controlP = input.slice(0, maxControlPoints);
+    controlP.forEach((p, i) => {
+      if (p.length > 2 && !(Number.isFinite(p[2]) && p[2] > 0)) {
+        throw new InvalidInputError(
+          `Weight of point ${i} in ${which} must be a positive number, ` +
+            `got ${String(p[2])}.`,
+          { image: which }
+        );
+      }
+    });
+  } else if (binning > 1) {
+    // Assume it's an image, detect the sources in a binned copy
+    const image = bw(readImage(input, which));
+    const binned = binImage(
+      image,
+      binning,
+      badPixels(image, options[`${which}Mask`], which)
+    );
+    const offset = (binning - 1) / 2;
+    controlP = extractSources(
+      binned.image,
+      {
+        detectionSigma: detectionSigma,
+        minArea: Math.ceil(minArea / binning ** 2),
+        centroid: centroid,
+        maxSources: maxControlPoints,
+        tileSize:
+          tileSize === null
+            ? null
+            : Math.max(16, Math.round(tileSize / binning)),
+      },
+      binned.bad
+    ).map(({ x, y }) => [binning * x + offset, binning * y + offset]);
+  } else {
+    // Assume it's an image
+    const image = bw(readImage(input, which));
+    controlP = extractSources(
+      image,
+      {
         detectionSigma: detectionSigma,
         minArea: minArea,
-        maxControlPoints: maxControlPoints,
-      });
-    }
-  } catch (error) {
-    throw new TypeError("Input type for source not supported.");
+        centroid: centroid,
+        saturation: saturation,
+        excludeSaturated: true,
+        maxSources: maxControlPoints,
+        tileSize: tileSize,
+      },
+      badPixels(image, options[`${which}Mask`], which)
+    ).map(({ x, y }) => [x, y]);
   }
 
+  // Check for low number of reference points, a homography needs 4
+  const required = options.model === "projective" ? 4 : 3;
+  if (controlP.length < required) {
+    throw new TooFewSourcesError(
+      `Reference stars in ${which} image are less than the minimum value ` +
+        `(${required}).`,
+      { image: which, found: controlP.length, required }
+    );
+  }
+  return controlP;
+}
+
+/**
+ * Measure again at full resolution the control points found in a binned
+ * copy of an image, see controlPoints and measureSources.
+ *
+ * @param {number[][]|Object} input - Image or array of (x, y) coordinates
+ * @param {string} which - Name of the input for error messages: "source" or "target"
+ * @param {number[][]} controlP - Control points of the input, see controlPoints
+ * @param {Object} options - Options of findTransform
+ * @returns {Array<number[]|null>} The (x, y) control points at full resolution, null for those not found again or saturated; the control points themselves for point lists
+ */
+function refinedControlPoints(input, which, controlP, options) {
+  if (isPointList(input, which, options[`${which}Kind`])) {
+    return controlP;
+  }
+  const image = bw(readImage(input, which));
+  const sources = measureSources(
+    image,
+    controlP,
+    {
+      detectionSigma: options.detectionSigma,
+      radius: options.binning,
+      centroid: options.centroid,
+      saturation: options.saturation,
+      tileSize: options.tileSize,
+    },
+    badPixels(image, options[`${which}Mask`], which)
+  );
+  return sources.map((source) =>
+    source === null || source.saturated ? null : [source.x, source.y]
+  );
+}
+
+/**
+ * Refine a transform found with binned images, fitting it again to the
+ * matches of the control points measured at full resolution. The matches
+ * that are lost at full resolution or whose residual is larger than
+ * `pixelTol` are dropped.
+ *
+ * @param {AlignmentResult} result - Result of the first pass on the binned images
+ * @param {Array<number[]|null>} sourceRefined - Source control points at full resolution, see refinedControlPoints
+ * @param {Array<number[]|null>} targetRefined - Target control points at full resolution
+ * @param {Object} options - Options of findTransform
+ * @returns {AlignmentResult} The refined result, or the first one if too few matches are left or they are degenerate
+ */
+function refineResult(result, sourceRefined, targetRefined, options) {
+  const sourceControlP = sourceRefined.map(
+    (p, i) => p ?? result.sourceControlPoints[i]
+  );
+  const targetControlP = targetRefined.map(
+    (p, j) => p ?? result.targetControlPoints[j]
+  );
+  const model = new MatchTransform(
+    sourceControlP,
+    targetControlP,
+    options.model,
+    result.transform.parity
+  );
+  const minMatches = options.model === "projective" ? 4 : 3;
+  let matches = result.matches.filter(
+    ([i, j]) => sourceRefined[i] !== null && targetRefined[j] !== null
+  );
+  if (matches.length < minMatches) {
+    return result;
+  }
+  let transform;
   try {
-    const targetData = data(target);
-    if (targetData[0] && targetData[0].length === 2) {
-      // Assume it's a list of (x, y) pairs
-      targetControlP = targetData.slice(0, maxControlPoints);
-    } else {
-      // Assume it's a 2D image
-      targetControlP = _findSources(bw(data(target)), {
-        detectionSigma: detectionSigma,
-        minArea: minArea,
-        maxControlPoints: maxControlPoints,
-      });
+    transform = model.fit([matches]);
+    const kept = matches.filter(
+      ([i, j]) =>
+        transform.residuals([sourceControlP[i]], [targetControlP[j]])[0] <=
+        options.pixelTol
+    );
+    if (kept.length < matches.length) {
+      if (kept.length < minMatches) {
+        return result;
+      }
+      matches = kept;
+      transform = model.fit([matches]);
     }
   } catch (error) {
-    throw new TypeError("Input type for target not supported.");
+    // Degenerate matches, e.g. collinear points
+    return result;
   }
+  return new AlignmentResult({
+    transform,
+    matches,
+    residuals: transform.residuals(
+      matches.map(([i, j]) => sourceControlP[i]),
+      matches.map(([i, j]) => targetControlP[j])
+    ),
+    sourceControlPoints: sourceControlP,
+    targetControlPoints: targetControlP,
+    nTriangleMatches: result.nTriangleMatches,
+    nTrianglesTried: result.nTrianglesTried,
+    nInlierTriangles: result.nInlierTriangles,
+  });
+}
 
-  // Check for low number of reference points
-  if (sourceControlP.length < 3) {
-    throw new Error(
-      "Reference stars in source image are less than the minimum value (3)."
-    );
+/**
+ * Estimate the transform between source and target.
+ *
+ * Returns a transform object that maps pixel x, y indices from the source image
+ * into the target (destination) image.
+ *
+ * Images can be scijs ndarrays, nested arrays indexed as image[y][x] (or
+ * image[y][x][channel]), `{data, width, height}` objects such as browser
+ * ImageData, or canvas elements. Multi-channel images are converted to
+ * grayscale for source detection.
+ *
+ * The transform is a similarity (translation, scale and rotation) by
+ * default. Set `model` to "affine" or "projective" to fit a 6 or 8
+ * parameter transform instead. Note that the triangle matching still
+ * assumes that asterisms are approximately similar in both images.
+ *
+ * Mirrored images, e.g. from a telescope with a diagonal mirror or a
+ * flipped camera readout, are aligned too: RANSAC tries both proper and
+ * mirrored transforms and keeps the one with more inliers, and the result
+ * reports its `parity`. Set `parity` to 1 or -1 to allow only one of them.
+ *
+ * Point lists can have (x, y, weight) rows, with weights proportional to
+ * the inverse variance of the positions, e.g. 1 / error^2 or the flux of
+ * the stars. The transform is then a weighted least squares fit, and the
+ * residuals compared to `pixelTol` are scaled by the square root of the
+ * weights relative to their median, so that noisy stars do not pull the
+ * solution. The sources detected in images are not weighted; to weight
+ * them, pass the sources of findSources as (x, y, weight) rows.
+ *
+ * Bad pixels, such as saturated stars, hot pixels, satellite trails or chip
+ * gaps, can be given as boolean masks in `sourceMask` and `targetMask`, or
+ * as NaN pixel values. No sources are detected on them or next to them.
+ * Sources with a pixel at or above `saturation` are left out too, and
+ * `centroid` selects how the positions of the sources are measured, see
+ * findSources.
+ *
+ * Large images can be aligned with bounded memory: the pixels are read in
+ * place and the background is estimated from a sample of at most 2^18
+ * pixels of each tile, so that no full-size copy of the image is made
+ * (except to convert nested arrays and multi-channel images). The full-size
+ * buffers are one byte per pixel to label the sources, and another for the
+ * bad pixels if there are any. With a `tileSize`, the background follows
+ * gradients across the image. With a `binning` factor, the sources are
+ * detected and matched in binned copies of the images, and the matched
+ * stars are then measured again at full resolution to fit the transform.
+ *
+ * For backward compatibility, the options can also be given as the
+ * positional arguments (maxControlPoints, detectionSigma, minArea, model).
+ *
+ * @param {number[][]|Object} source - Source image or array of (x, y) or (x, y, weight) coordinates
+ * @param {number[][]|Object} target - Target image or array of (x, y) or (x, y, weight) coordinates
+ * @param {Object} options - Options object
+ * @param {number} options.maxControlPoints - Maximum number of control points to find (default 50)
+ * @param {number} options.detectionSigma - Factor of background std-dev above which is considered a detection (default 5)
+ * @param {number} options.minArea - Minimum number of connected pixels to be considered a source (default 5)
+ * @param {string} options.centroid - Centroid method of the sources: "moments" (default), "windowed" or "gaussian", see findSources
+ * @param {number|null} options.saturation - Saturation level of the pixel values, or null (default) if the images are not saturated
+ * @param {number|null} options.tileSize - Size in pixels of the tiles in which the background is estimated, or null (default) for a single background level
+ * @param {number} options.binning - Binning factor of the images for a first pass, refined at full resolution (default 1, no binning)
+ * @param {string} options.model - Transform model to fit: "similarity" (default), "affine" or "projective"
+ * @param {string|number} options.parity - Parity of the transform: "auto" (default) to try both, 1 for proper or -1 for mirrored transforms
+ * @param {number} options.numNearestNeighbors - Number of nearest neighbors of each control point used to build triangles (default 5)
+ * @param {number} options.minMatchesFraction - Fraction of the matched triangles that must agree with a transform to accept it, capped to 10 triangles (default 0.8)
+ * @param {number} options.pixelTol - Maximum residual in pixels for a triangle to agree with a transform (default 2)
+ * @param {number} options.matchRadius - Maximum distance in invariant space between matching triangles (default 0.1)
+ * @param {number} options.maxIter - Maximum number of RANSAC iterations (default Infinity, i.e. try every matching triangle)
+ * @param {number} options.confidence - Probability of having found the best transform required to stop RANSAC early (default 0.999)
+ * @param {number|null} options.seed - Seed of the random generator used by RANSAC, or null (default) for a random seed
+ * @param {boolean[][]|Object|null} options.sourceMask - Mask of the bad pixels of the source image, true for bad pixels, in any of the image formats (default null)
+ * @param {boolean[][]|Object|null} options.targetMask - Mask of the bad pixels of the target image (default null)
+ * @param {string} options.sourceKind - How to read the source: "auto" (default) for a list of points if it is a nested array with two or three columns and an image otherwise, "points" or "image"
+ * @param {string} options.targetKind - How to read the target, as sourceKind (default "auto")
+ * @returns {AlignmentResult} The transform, the matching control points and quality metrics; can be destructured as [transform, [sourceList, targetList]]
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ * @throws {RangeError} If a numeric option is out of range
+ * @throws {InvalidInputError} If source or target are not supported, or a weight is not positive
+ * @throws {TooFewSourcesError} If source or target have less than 3 control points
+ * @throws {MaxIterError} If no acceptable transformation was found
+ */
+function findTransform(source, target, ...args) {
+  const options = resolveOptions(
+    optionsFromArgs(args, [
+      "maxControlPoints",
+      "detectionSigma",
+      "minArea",
+      "model",
+    ])
+  );
+  const sourceAsterisms = buildAsterisms(
+    controlPoints(source, "source", options),
+    options
+  );
+  const targetAsterisms = buildAsterisms(
+    controlPoints(target, "target", options),
+    options
+  );
+  const result = matchAsterisms(sourceAsterisms, targetAsterisms, options);
+  if (options.binning === 1) {
+    return result;
   }
-  if (targetControlP.length < 3) {
-    throw new Error(
-      "Reference stars in target image are less than the minimum value (3)."
+  return refineResult(
+    result,
+    refinedControlPoints(
+      source,
+      "source",
+      sourceAsterisms.controlPoints,
+      options
+    ),
+    refinedControlPoints(
+      target,
+      "target",
+      targetAsterisms.controlPoints,
+      options
+    ),
+    options
+  );
+}
+
+// Options of findTransform that apply to findSources
+const SOURCE_OPTIONS = [
+  "detectionSigma",
+  "minArea",
+  "centroid",
+  "saturation",
+  "tileSize",
+];
+
+/**
+ * Detect and measure the sources of an image.
+ *
+ * Sources are found as in findTransform: regions of at least `minArea`
+ * connected pixels above `detectionSigma` times the background noise,
+ * leaving out bad pixels (NaN values or those set in `mask`) and the
+ * sources next to them. Their positions are measured with one of the
+ * centroid methods:
+ *   - "moments": the centroid of the pixels above the threshold, weighted
+ *     by their background-subtracted values
+ *   - "windowed": the centroid weighted by a Gaussian window as wide as the
+ *     source, iterated as the windowed positions of SExtractor. Less noisy
+ *     than the moments, and not biased by the detection threshold.
+ *   - "gaussian": the center of an elliptical 2D Gaussian fitted to the
+ *     source. The most accurate for undersampled stars, and it fits
+ *     saturated stars on their wings, leaving out the pixels at or above
+ *     `saturation`.
+ *
+ * Each source has its position `x`, `y` and its uncertainty `error` in
+ * pixels (estimated from the width and the signal-to-noise ratio of the
+ * source), its `flux` (the sum of its
+ * background-subtracted pixels above the threshold), `peak` (its highest
+ * pixel value), `area` in pixels, `fwhm` and `ellipticity` (1 - b / a, from
+ * the second moments or the fitted Gaussian), and whether it is
+ * `saturated`. The FWHM and ellipticity help filter out cosmic rays, which
+ * are sharper than the stars, and extended objects, which are wider. The
+ * sources can be used as catalogs, see crossMatch, or as control points
+ * once filtered:
+ *
+ *   const stars = findSources(image, { centroid: "gaussian" })
+ *     .filter((s) => s.fwhm > 1.5 && s.fwhm < 6 && s.ellipticity < 0.3)
+ *     .map(({ x, y, error }) => [x, y, 1 / error ** 2]);
+ *
+ * @param {number[][]|Object} image - Image in any of the formats accepted by findTransform
+ * @param {Object} options - Options object
+ * @param {number} options.detectionSigma - Factor of background std-dev above which is considered a detection (default 5)
+ * @param {number} options.minArea - Minimum number of connected pixels to be considered a source (default 5)
+ * @param {string} options.centroid - Centroid method: "moments" (default), "windowed" or "gaussian"
+ * @param {number|null} options.saturation - Saturation level of the pixel values, or null (default) if the image is not saturated
+ * @param {number|null} options.tileSize - Size in pixels of the tiles in which the background is estimated, or null (default) for a single background level
+ * @param {number} options.maxSources - Maximum number of sources to return (default Infinity)
+ * @param {boolean[][]|Object|null} options.mask - Mask of the bad pixels, true for bad pixels, in any of the image formats (default null)
+ * @returns {Object[]} Array of `{x, y, error, flux, peak, area, fwhm, ellipticity, saturated}` sources, sorted by decreasing flux
+ * @throws {TypeError} If an option is unknown or has the wrong type
+ * @throws {RangeError} If a numeric option is out of range
+ * @throws {InvalidInputError} If the image or the mask are not supported
+ */
+function findSources(
+  image,
+  { mask = null, maxSources = Infinity, ...options } = {}
+) {
+  for (const name of Object.keys(options)) {
+    if (!SOURCE_OPTIONS.includes(name)) {
+      throw new TypeError(`Unknown option "${name}".`);
+    }
+  }
+  const { detectionSigma, minArea, centroid, saturation, tileSize } =
+    resolveOptions(options);
+  if (
+    maxSources !== Infinity &&
+    !(Number.isInteger(maxSources) && maxSources >= 1)
+  ) {
+    throw new RangeError(
+      'Option "maxSources" must be a positive integer or Infinity, ' +
+        `got ${String(maxSources)}.`
     );
   }
+  const gray = bw(readImage(image, "image"));
+  return extractSources(
+    gray,
+    { detectionSigma, minArea, centroid, saturation, maxSources, tileSize },
+    badPixels(gray, mask, "image")
+  );
+}
 
-  const [sourceInvariants, sourceAsterisms] =
-    generateInvariants(sourceControlP);
-  const sourceInvariantTree = createKDTree(sourceInvariants);
+/**
+ * Compute the triangle invariants of a set of control points, see
+ * generateInvariants, and a KD-tree to search them.
+ *
+ * @param {number[][]} controlP - Array of (x, y) control points
+ * @param {Object} options - Options of findTransform
+ * @returns {Object} Object with the controlPoints, invariants, asterisms (triangle vertices) and invariantTree
+ */
+function buildAsterisms(controlP, options) {
+  const [invariants, asterisms] = generateInvariants(
+    controlP,
+    options.numNearestNeighbors
+  );
+  return {
+    controlPoints: controlP,
+    invariants,
+    asterisms,
+    invariantTree: createKDTree(invariants),
+  };
+}
 
-  const [targetInvariants, targetAsterisms] =
-    generateInvariants(targetControlP);
-  const targetInvariantTree = createKDTree(targetInvariants);
+/**
+ * Match the triangles of source and target and find the transform between
+ * them with RANSAC.
+ *
+ * @param {Object} source - Source asterisms, as returned by buildAsterisms
+ * @param {Object} target - Target asterisms, as returned by buildAsterisms
+ * @param {Object} options - Options of findTransform
+ * @returns {AlignmentResult} The transform, the matching control points and quality metrics
+ * @throws {MaxIterError} If no acceptable transformation was found
+ */
+function matchAsterisms(source, target, options) {
+  const { model } = options;
+  const sourceControlP = source.controlPoints;
+  const targetControlP = target.controlPoints;
+  const sourceInvariants = source.invariants;
+  const sourceAsterisms = source.asterisms;
+  const targetAsterisms = target.asterisms;
+  const targetInvariantTree = target.invariantTree;
 
-  // r = 0.1 is the maximum search distance, 0.1 is an empirical value that
-  // returns about the same number of matches than inputs
+  // options.matchRadius is the maximum search distance in invariant space
   // matchesList is a list of lists such that for each element
   // sourceInvariantTree.data[i], matchesList[i] is a list of the indices
   // of its neighbors in targetInvariantTree.data
@@ -332,7 +1349,7 @@ function findTransform(
     { length: sourceInvariants.length },
     () => []
   );
-  const matchRadius = 0.1; // in invariant space units
+  const matchRadius = options.matchRadius; // in invariant space units
   sourceInvariants.forEach((sourceInv, sourceInd) => {
     targetInvariantTree.rnn(sourceInv, matchRadius, function (targetInd) {
       matchesList[sourceInd].push(targetInd);
@@ -355,24 +1372,44 @@ function findTransform(
     }
   }
 
-  const invModel = new MatchTransform(sourceControlP, targetControlP);
+  const invModel = new MatchTransform(
+    sourceControlP,
+    targetControlP,
+    model,
+    options.parity
+  );
   const nInvariants = matches.length;
   // Set the minimum matches to be between 1 and 10 asterisms
   const minMatches = Math.max(
     1,
-    Math.min(10, Math.floor(nInvariants * MIN_MATCHES_FRACTION))
+    Math.min(10, Math.floor(nInvariants * options.minMatchesFraction))
   );
 
-  let bestT, inlierInd;
+  let bestT, inlierInd, nTried;
 
+  // A single triangle is enough when the model can be fitted to one
   if (
     (sourceControlP.length === 3 || targetControlP.length === 3) &&
-    matches.length === 1
+    matches.length === 1 &&
+    invModel.minTriangles === 1
   ) {
     bestT = invModel.fit(matches);
     inlierInd = Array.from({ length: matches.length }, (_, i) => i); // All of the indices
+    nTried = 1;
   } else {
-    [bestT, inlierInd] = ransac(matches, invModel, PIXEL_TOL, minMatches);
+    // The positions in binned images are less precise, refineResult applies
+    // pixelTol at full resolution
+    [bestT, inlierInd, nTried] = ransac(
+      matches,
+      invModel,
+      options.pixelTol * options.binning,
+      minMatches,
+      {
+        maxIter: options.maxIter,
+        confidence: options.confidence,
+        seed: options.seed,
+      }
+    );
   }
 
   const triangleInliers = inlierInd.map((i) => matches[i]).flat();
@@ -392,11 +1429,7 @@ function findTransform(
     const sVertex = sourceControlP[sI];
     const tVertex = targetControlP[tI];
 
-    const error = nudged.analysis.residuals(
-      bestT,
-      [nudged.point.fromArray(sVertex)],
-      [nudged.point.fromArray(tVertex)]
-    )[0];
+    const error = bestT.residuals([sVertex], [tVertex])[0];
 
     // if sI not in dict, or if its error is smaller than previous error
     if (!(sI in inlDict) || error < inlDict[sI][1]) {
@@ -410,13 +1443,277 @@ function findTransform(
     tI,
   ]);
 
-  return [
-    bestT,
-    [
-      inlArrUnique.map(([i, j]) => sourceControlP[i]),
-      inlArrUnique.map(([i, j]) => targetControlP[j]),
-    ],
-  ];
+  return new AlignmentResult({
+    transform: bestT,
+    matches: inlArrUnique,
+    residuals: Object.values(inlDict).map(([tI, e]) => e),
+    sourceControlPoints: sourceControlP,
+    targetControlPoints: targetControlP,
+    nTriangleMatches: matches.length,
+    nTrianglesTried: nTried,
+    nInlierTriangles: inlierInd.length,
+  });
+}
+
+/**
+ * The result of findTransform: the transform found, the matched control
+ * points and quality metrics of the solution.
+ *
+ * For backward compatibility, it can be destructured as the array
+ * `[transform, [sourceList, targetList]]`.
+ */
+class AlignmentResult {
+  /**
+   * @param {Object} fields - Result fields
+   * @param {Transform} fields.transform - Transform from source to target
+   * @param {number[][]} fields.matches - Pairs [i, j] of indices of matching source and target control points
+   * @param {number[]} fields.residuals - Residual in pixels of each match
+   * @param {number[][]} fields.sourceControlPoints - All the source control points
+   * @param {number[][]} fields.targetControlPoints - All the target control points
+   * @param {number} fields.nTriangleMatches - Number of candidate triangle matches
+   * @param {number} fields.nTrianglesTried - Number of triangle matches tried as RANSAC hypotheses
+   * @param {number} fields.nInlierTriangles - Number of triangle matches that agree with the transform
+   */
+  constructor({
+    transform,
+    matches,
+    residuals,
+    sourceControlPoints,
+    targetControlPoints,
+    nTriangleMatches,
+    nTrianglesTried,
+    nInlierTriangles,
+  }) {
+    this.transform = transform;
+    this.matches = matches;
+    this.residuals = residuals;
+    this.sourceControlPoints = sourceControlPoints;
+    this.targetControlPoints = targetControlPoints;
+    this.nTriangleMatches = nTriangleMatches;
+    this.nTrianglesTried = nTrianglesTried;
+    this.nInlierTriangles = nInlierTriangles;
+  }
+
+  /**
+   * Positions of the matched source control points.
+   * @returns {number[][]} Array of (x, y) points
+   */
+  get sourcePoints() {
+    return this.matches.map(([i, j]) => this.sourceControlPoints[i]);
+  }
+
+  /**
+   * Positions of the matched target control points.
+   * @returns {number[][]} Array of (x, y) points
+   */
+  get targetPoints() {
+    return this.matches.map(([i, j]) => this.targetControlPoints[j]);
+  }
+
+  /**
+   * Number of matched control points (inliers).
+   * @returns {number} Number of matches
+   */
+  get nInliers() {
+    return this.matches.length;
+  }
+
+  /**
+   * Fraction of the control points that were matched, relative to the image
+   * with fewer control points.
+   * @returns {number} Fraction in [0, 1]
+   */
+  get inlierFraction() {
+    return (
+      this.matches.length /
+      Math.min(
+        this.sourceControlPoints.length,
+        this.targetControlPoints.length
+      )
+    );
+  }
+
+  /**
+   * Root mean square of the match residuals, in pixels, or 0 without
+   * residuals.
+   * @returns {number} RMS error
+   */
+  get rms() {
+    if (this.residuals.length === 0) {
+      return 0;
+    }
+    const sumSq = this.residuals.reduce((sum, r) => sum + r * r, 0);
+    return Math.sqrt(sumSq / this.residuals.length);
+  }
+
+  /**
+   * Parity of the transform, -1 if the source is mirrored with respect to
+   * the target and 1 otherwise, see Transform.parity.
+   * @returns {number} 1 or -1
+   */
+  get parity() {
+    return this.transform.parity;
+  }
+
+  /**
+   * Scale factor of the transform, see Transform.scale.
+   * @returns {number} Scale factor
+   */
+  get scale() {
+    return this.transform.scale;
+  }
+
+  /**
+   * Rotation angle of the transform in radians, see Transform.rotation.
+   * @returns {number} Rotation angle
+   */
+  get rotation() {
+    return this.transform.rotation;
+  }
+
+  /**
+   * Translation of the transform, see Transform.translation.
+   * @returns {number[]} Translation (x, y)
+   */
+  get translation() {
+    return this.transform.translation;
+  }
+
+  *[Symbol.iterator]() {
+    yield this.transform;
+    yield [this.sourcePoints, this.targetPoints];
+  }
+}
+
+/**
+ * Align many images or point lists against a single reference.
+ *
+ * The control points, triangle invariants and invariant KD-tree of the
+ * reference are computed once, when the Aligner is created, and reused to
+ * align every other image. Transforms map each image into the reference,
+ * i.e. the reference plays the role of the target in findTransform, and
+ * its mask is the `targetMask`. The `sourceMask`, if any, is used for every
+ * image, e.g. for the defects of the detector.
+ */
+class Aligner {
+  /**
+   * Prepare the reference for alignment.
+   *
+   * @param {number[][]|Object} reference - Reference image or array of (x, y) coordinates, see findTransform
+   * @param {Object} options - Options object, see findTransform
+   * @throws {InvalidInputError} If the reference is not supported
+   * @throws {TooFewSourcesError} If the reference has less than 3 control points
+   */
+  constructor(reference, options = {}) {
+    this.options = resolveOptions(options);
+    this.reference = reference;
+    this.referenceAsterisms = buildAsterisms(
+      controlPoints(reference, "target", this.options),
+      this.options
+    );
+    this.referenceRefined =
+      this.options.binning === 1
+        ? null
+        : refinedControlPoints(
+            reference,
+            "target",
+            this.referenceAsterisms.controlPoints,
+            this.options
+          );
+  }
+
+  /**
+   * Control points of the reference.
+   * @returns {number[][]} Array of (x, y) control points
+   */
+  get referenceControlPoints() {
+    return this.referenceAsterisms.controlPoints;
+  }
+
+  /**
+   * Estimate the transform from source into the reference.
+   *
+   * @param {number[][]|Object} source - Source image or array of (x, y) coordinates
+   * @returns {AlignmentResult} The transform, the matching control points and quality metrics
+   * @throws {InvalidInputError} If source is not supported
+   * @throws {TooFewSourcesError} If source has less than 3 control points
+   * @throws {MaxIterError} If no acceptable transformation was found
+   */
+  align(source) {
+    const sourceAsterisms = buildAsterisms(
+      controlPoints(source, "source", this.options),
+      this.options
+    );
+    const result = matchAsterisms(
+      sourceAsterisms,
+      this.referenceAsterisms,
+      this.options
+    );
+    if (this.options.binning === 1) {
+      return result;
+    }
+    return refineResult(
+      result,
+      refinedControlPoints(
+        source,
+        "source",
+        sourceAsterisms.controlPoints,
+        this.options
+      ),
+      this.referenceRefined,
+      this.options
+    );
+  }
+
+  /**
+   * Transform the source image to match the reference image, see register.
+   *
+   * @param {number[][]|Object} source - Source image
+   * @param {Object|number|null} options - Resampling options or, for backward compatibility, the fillValue, see applyTransform. The mask defaults to the `sourceMask` of the Aligner
+   * @returns {[number[][]|Object, boolean[][]|Object]} Array containing [alignedImage, footprint], see applyTransform
+   */
+  register(source, options = {}) {
+    const resampleOptions = resolveResampleOptions(options);
+    resampleOptions.mask ??= this.options.sourceMask;
+    const { transform } = this.align(source);
+    return applyTransform(transform, source, this.reference, resampleOptions);
+  }
+
+  /**
+   * Align every source against the reference.
+   *
+   * A failure to align one source does not stop the others: it is reported
+   * in the `error` field of that source's entry.
+   *
+   * @param {Iterable} sources - Images or arrays of (x, y) coordinates
+   * @returns {Object[]} One `{index, result, error}` object per source, where result is the AlignmentResult or null if it failed, and error is the Error raised or null
+   */
+  alignAll(sources) {
+    return Array.from(sources, (source, index) => {
+      try {
+        return { index, result: this.align(source), error: null };
+      } catch (error) {
+        return { index, result: null, error };
+      }
+    });
+  }
+}
+
+/**
+ * Return a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Function returning uniform random numbers in [0, 1)
+ */
+function randomGenerator(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 /**
@@ -425,77 +1722,154 @@ function findTransform(
  * This implementation written from pseudocode found at
  * http://en.wikipedia.org/w/index.php?title=RANSAC&oldid=116358182
  *
+ * Candidate models are fitted to samples of `model.minTriangles` data
+ * points, taken in a random order that is reproducible when `seed` is given.
+ * Each candidate is refitted to its inliers and scored by its number of
+ * inliers, ties broken by the lowest sum of inlier errors, and the best one
+ * is kept. The search stops after `maxIter` candidates, when every sample
+ * has been tried, or when the probability of having missed a better model
+ * is below 1 - `confidence`, given the inlier fraction of the best model.
+ * The best model is finally refitted to its inliers until they no longer
+ * change.
+ *
  * @param {Array} data - A set of data points
- * @param {Object} model - A model that can be fitted to data points
+ * @param {Object} model - A model that can be fitted to data points, fitting `model.minTriangles` (default 1) data points at least
  * @param {number} thresh - A threshold value to determine when a data point fits a model
  * @param {number} minMatches - The min number of matches required to assert that a model fits well to data
- * @returns {[Object, number[]]} Array containing [bestfit, bestInlierIdxs] where bestfit is model parameters which best fit the data (or null if no good model is found)
+ * @param {Object} options - Iteration options
+ * @param {number} options.maxIter - Maximum number of models to try (default Infinity)
+ * @param {number} options.confidence - Probability of having found the best model required to stop early (default 0.999)
+ * @param {number|null} options.seed - Seed of the random generator, or null (default) to use Math.random
+ * @returns {[Object, number[], number]} Array containing [bestfit, bestInlierIdxs, nTried] where bestfit is model parameters which best fit the data and nTried is the number of samples tried
+ * @throws {MaxIterError} If no model has at least `minMatches` inliers
  */
-function ransac(data, model, thresh, minMatches) {
-  let goodFit = null;
+function ransac(
+  data,
+  model,
+  thresh,
+  minMatches,
+  { maxIter = Infinity, confidence = 0.999, seed = null } = {}
+) {
   const nData = data.length;
   const allIdxs = Array.from({ length: nData }, (_, i) => i);
+  const random = seed === null ? Math.random : randomGenerator(seed);
 
   // Shuffle the indices
   for (let i = allIdxs.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [allIdxs[i], allIdxs[j]] = [allIdxs[j], allIdxs[i]];
   }
 
-  for (let iterI = 0; iterI < nData; iterI++) {
+  // Number of data points needed to fit the model
+  const sampleSize = model.minTriangles || 1;
+
+  // Return the inlier indices of a fit and the sum of their errors
+  const evaluate = (fit) => {
+    const inlierIdxs = [];
+    let errSum = 0;
+    model.getError(data, fit).forEach((err, i) => {
+      if (err < thresh) {
+        inlierIdxs.push(i);
+        errSum += err;
+      }
+    });
+    return [inlierIdxs, errSum];
+  };
+
+  let bestFit = null;
+  let bestInlierIdxs = [];
+  let bestErrSum = Infinity;
+
+  let nIter = Math.min(maxIter, nData - sampleSize + 1);
+  let iterI = 0;
+  for (; iterI < nIter; iterI++) {
     // Partition indices into two random subsets
-    const maybeIdxs = allIdxs.slice(iterI, iterI + 1);
+    const maybeIdxs = allIdxs.slice(iterI, iterI + sampleSize);
     const testIdxs = [
       ...allIdxs.slice(0, iterI),
-      ...allIdxs.slice(iterI + 1),
+      ...allIdxs.slice(iterI + sampleSize),
     ];
 
     const maybeInliers = maybeIdxs.map((i) => data[i]);
     const testPoints = testIdxs.map((i) => data[i]);
-    const maybeModel = model.fit(maybeInliers);
+    let maybeModel;
+    try {
+      maybeModel = model.fit(maybeInliers);
+    } catch (error) {
+      // Degenerate sample, e.g. collinear points
+      continue;
+    }
     const testErr = model.getError(testPoints, maybeModel);
 
     // Select indices of rows with accepted points
     const alsoIdxs = testIdxs.filter((_, i) => testErr[i] < thresh);
     const alsoInliers = alsoIdxs.map((i) => data[i]);
 
-    if (alsoInliers.length >= minMatches) {
-      const goodData = [...maybeInliers, ...alsoInliers];
-      goodFit = model.fit(goodData);
-      break;
+    if (alsoInliers.length < minMatches) {
+      continue;
+    }
+    const goodData = [...maybeInliers, ...alsoInliers];
+    const goodFit = model.fit(goodData);
+    const [inlierIdxs, errSum] = evaluate(goodFit);
+    if (
+      inlierIdxs.length > bestInlierIdxs.length ||
+      (inlierIdxs.length === bestInlierIdxs.length && errSum < bestErrSum)
+    ) {
+      bestFit = goodFit;
+      bestInlierIdxs = inlierIdxs;
+      bestErrSum = errSum;
+
+      // Number of samples needed to draw an all-inlier sample at least once
+      // with probability `confidence`, given the current inlier fraction
+      const pGood = (bestInlierIdxs.length / nData) ** sampleSize;
+      const needed =
+        pGood >= 1 ? 1 : Math.log(1 - confidence) / Math.log(1 - pGood);
+      nIter = Math.min(nIter, Math.ceil(needed));
     }
   }
 
-  if (goodFit === null) {
-    throw new Error(
+  if (bestFit === null) {
+    throw new MaxIterError(
       "List of matching triangles exhausted before an acceptable " +
-        "transformation was found"
+        "transformation was found",
+      { nTried: iterI, nMatches: nData, minMatches }
     );
   }
 
-  let betterFit = goodFit;
-  let betterInlierIdxs = [];
-
-  for (let i = 0; i < 3; i++) {
-    const testErr = model.getError(data, betterFit);
-    betterInlierIdxs = Array.from({ length: nData }, (_, i) => i).filter(
-      (i) => testErr[i] < thresh
-    );
-    const betterData = betterInlierIdxs.map((i) => data[i]);
-    betterFit = model.fit(betterData);
+  // Refit to the inliers until the inlier set converges
+  for (let pass = 0; pass < 10; pass++) {
+    const fit = model.fit(bestInlierIdxs.map((i) => data[i]));
+    const [inlierIdxs] = evaluate(fit);
+    if (inlierIdxs.length < minMatches) {
+      break;
+    }
+    bestFit = fit;
+    const converged =
+      inlierIdxs.length === bestInlierIdxs.length &&
+      inlierIdxs.every((idx, j) => idx === bestInlierIdxs[j]);
+    bestInlierIdxs = inlierIdxs;
+    if (converged) {
+      break;
+    }
   }
 
-  const bestFit = betterFit;
-  const bestInlierIdxs = betterInlierIdxs;
-
-  return [bestFit, bestInlierIdxs];
+  return [bestFit, bestInlierIdxs, iterI];
 }
 
 export {
+  DEFAULT_OPTIONS,
   register,
+  applyTransform,
+  resampler,
   arrangeTriplet,
   generateInvariants,
   MatchTransform,
+  AlignmentResult,
+  Aligner,
   findTransform,
+  findSources,
   ransac,
+  refineResult,
+  resolveOptions,
+  isPointList,
 };
@@ -3,8 +3,28 @@ import {
   arrangeTriplet,
   generateInvariants,
   findTransform,
+  findSources,
+  applyTransform,
+  resampler,
+  register,
+  ransac,
+  refineResult,
+  resolveOptions,
+  MatchTransform,
+  AlignmentResult,
+  Aligner,
 } from "./astroalign.js";
+import { AffineTransform, ProjectiveTransform } from "./transform.js";
+import {
+  AstroalignError,
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError,
+} from "./errors.js";
 import nudged from "nudged";
+import ndarray from "ndarray";
+import createKDTree from "static-kdtree";
+import { seededRandom, makeStarImage, makeStarFields } from "./test-utils.js";
 
 const sources = [
   [0.01, 0.02],
@@ -105,6 +125,94 @@ describe("generateInvariants", () => {
   });
 });
 
+describe("generateInvariants deduplication", () => {
+  /**
+   * Return the triplets of indices of each point and its 4 nearest
+   * neighbors, in the order generateInvariants builds its triangles.
+   */
+  function neighborTriplets(points) {
+    const tree = createKDTree(points);
+    const triplets = [];
+    for (const p of points) {
+      const idx = tree.knn(p, 5);
+      for (let i = 0; i < idx.length - 2; i++) {
+        for (let j = i + 1; j < idx.length - 1; j++) {
+          for (let k = j + 1; k < idx.length; k++) {
+            triplets.push([idx[i], idx[j], idx[k]]);
+          }
+        }
+      }
+    }
+    return triplets;
+  }
+
+  /**
+   * Return an array of n random points in a 4000x4000 field.
+   */
+  function randomPoints(n, random) {
+    return Array.from({ length: n }, () => [random() * 4000, random() * 4000]);
+  }
+
+  it("returns each triangle once, at its last occurrence", () => {
+    const random = seededRandom(13);
+    const points = Array.from({ length: 40 }, () => [
+      random() * 100,
+      random() * 100,
+    ]);
+    const [invariants, triangVrtx] = generateInvariants(points);
+
+    const key = (t) => JSON.stringify([...t].sort((a, b) => a - b));
+    const keys = triangVrtx.map(key);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(invariants.length).toBe(triangVrtx.length);
+
+    // Same output as a quadratic scan over all the triangles
+    const allVrtx = neighborTriplets(points).map((triplet) =>
+      arrangeTriplet(points, triplet)
+    );
+    const expected = allVrtx.filter(
+      (t, pos) => !allVrtx.slice(pos + 1).some((u) => key(u) === key(t))
+    );
+    expect(triangVrtx).toEqual(expected);
+  });
+
+  it("returns at most one triangle per neighbor triplet of large star lists", () => {
+    const random = seededRandom(14);
+    const points = randomPoints(2000, random);
+    const [invariants, triangVrtx] = generateInvariants(points);
+
+    // Each source contributes C(5, 3) = 10 triangles before deduplication
+    const unique = new Set(
+      neighborTriplets(points).map((t) => t.sort((a, b) => a - b).join())
+    );
+    expect(invariants.length).toBe(triangVrtx.length);
+    expect(triangVrtx.length).toBe(unique.size);
+    expect(triangVrtx.length).toBeGreaterThan(points.length);
+    expect(triangVrtx.length).toBeLessThanOrEqual(10 * points.length);
+  });
+
+  it("takes time linear in the number of sources", () => {
+    const random = seededRandom(15);
+    // The best of a few runs, after a warm-up, is little affected by the
+    // load of the machine
+    const bestTime = (points) => {
+      let best = Infinity;
+      for (let run = 0; run < 3; run++) {
+        const start = performance.now();
+        generateInvariants(points);
+        best = Math.min(best, performance.now() - start);
+      }
+      return best;
+    };
+    generateInvariants(randomPoints(500, random));
+    const small = bestTime(randomPoints(500, random));
+    const large = bestTime(randomPoints(2000, random));
+
+    // About 4 times longer for 4 times the sources, 16 if quadratic
+    expect(large / small).toBeLessThan(10);
+  });
+});
+
 describe("findTransform", () => {
   it("finds transform between source and transformed destination points", () => {
     const source = [
@@ -175,3 +283,1190 @@ describe("findTransform", () => {
     expect(Math.max(...error)).toBeLessThan(1e-10);
   });
 });
+
+describe("findTransform result", () => {
+  it("reports matches and quality metrics", () => {
+    const random = seededRandom(21);
+    const source = Array.from({ length: 15 }, () => [
+      random() * 300,
+      random() * 300,
+    ]);
+    const scale = 1.3;
+    const alpha = 0.4;
+    const toTarget = ([x, y]) => [
+      scale * (Math.cos(alpha) * x - Math.sin(alpha) * y) + 5,
+      scale * (Math.sin(alpha) * x + Math.cos(alpha) * y) - 3,
+    ];
+    // Replace the last target point with an outlier
+    const target = source.map(toTarget);
+    target[14] = [-500, -500];
+
+    const result = findTransform(source, target, { seed: 3 });
+
+    expect(result).toBeInstanceOf(AlignmentResult);
+    expect(result.scale).toBeCloseTo(scale, 10);
+    expect(result.rotation).toBeCloseTo(alpha, 10);
+    expect(result.translation[0]).toBeCloseTo(5, 10);
+    expect(result.translation[1]).toBeCloseTo(-3, 10);
+
+    expect(result.nInliers).toBe(14);
+    expect(result.inlierFraction).toBeCloseTo(14 / 15, 10);
+    for (const [i, j] of result.matches) {
+      expect(i).toBe(j);
+    }
+    expect(result.matches.map(([i]) => i)).not.toContain(14);
+    expect(result.residuals.length).toBe(14);
+    expect(result.rms).toBeLessThan(1e-8);
+    expect(new AlignmentResult({ ...result, residuals: [] }).rms).toBe(0);
+    expect(result.sourcePoints).toEqual(result.matches.map(([i]) => source[i]));
+    expect(result.targetPoints).toEqual(
+      result.matches.map(([, j]) => target[j])
+    );
+    expect(result.nTrianglesTried).toBeGreaterThan(0);
+    expect(result.nTrianglesTried).toBeLessThanOrEqual(result.nTriangleMatches);
+    expect(result.nInlierTriangles).toBeGreaterThan(0);
+
+    // It still destructures as [transform, [sourceList, targetList]]
+    const [t, [sourceList, targetList]] = result;
+    expect(t).toBe(result.transform);
+    expect(sourceList).toEqual(result.sourcePoints);
+    expect(targetList).toEqual(result.targetPoints);
+  });
+});
+
+describe("findTransform errors", () => {
+  const points = [
+    [1.4, 2.2],
+    [5.3, 1.0],
+    [3.7, 1.5],
+    [10.1, 9.6],
+  ];
+
+  it("throws InvalidInputError with the underlying cause", () => {
+    const error = (() => {
+      try {
+        findTransform(points, { data: [1, 2, 3], width: 2, height: 2 });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(InvalidInputError);
+    expect(error).toBeInstanceOf(AstroalignError);
+    expect(error).toBeInstanceOf(TypeError);
+    expect(new TooFewSourcesError("")).not.toBeInstanceOf(InvalidInputError);
+    expect(error.name).toBe("InvalidInputError");
+    expect(error.image).toBe("target");
+    expect(error.cause).toBeInstanceOf(TypeError);
+    expect(error.message).toContain(error.cause.message);
+  });
+
+  it("throws TooFewSourcesError with the number of sources", () => {
+    const error = (() => {
+      try {
+        findTransform(points.slice(0, 2), points);
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(TooFewSourcesError);
+    expect(error.image).toBe("source");
+    expect(error.found).toBe(2);
+    expect(error.required).toBe(3);
+  });
+
+  it("needs 4 sources for a projective transform", () => {
+    const triangle = points.slice(0, 3);
+    const error = (() => {
+      try {
+        findTransform(triangle, triangle, { model: "projective" });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(TooFewSourcesError);
+    expect(error.image).toBe("source");
+    expect(error.found).toBe(3);
+    expect(error.required).toBe(4);
+    expect(findTransform(triangle, triangle).nInliers).toBe(3);
+  });
+
+  it("throws MaxIterError when no transformation is found", () => {
+    const random = seededRandom(17);
+    const source = Array.from({ length: 10 }, () => [
+      random() * 100,
+      random() * 100,
+    ]);
+    const target = Array.from({ length: 10 }, () => [
+      random() * 100,
+      random() * 100,
+    ]);
+    const error = (() => {
+      try {
+        findTransform(source, target, { matchRadius: 0.5, seed: 1 });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(MaxIterError);
+    expect(error.nMatches).toBeGreaterThan(0);
+    expect(error.nTried).toBe(error.nMatches);
+    expect(error.minMatches).toBeGreaterThan(1);
+  });
+});
+
+describe("findTransform with other transform models", () => {
+  const random = seededRandom(11);
+  const source = Array.from({ length: 30 }, () => [
+    random() * 500,
+    random() * 500,
+  ]);
+
+  it("finds an affine transform", () => {
+    const expected = new AffineTransform([
+      [1.05, 0.03, 12.0],
+      [-0.02, 0.98, -7.0],
+      [0, 0, 1],
+    ]);
+    const [t, [srcControlP, dstControlP]] = findTransform(
+      source,
+      expected.apply(source),
+      50,
+      5,
+      5,
+      "affine"
+    );
+    expect(t).toBeInstanceOf(AffineTransform);
+    t.matrix.flat().forEach((v, i) => {
+      expect(v).toBeCloseTo(expected.matrix.flat()[i], 8);
+    });
+    expect(srcControlP.length).toBe(source.length);
+    expect(Math.max(...t.residuals(srcControlP, dstControlP))).toBeLessThan(
+      1e-8
+    );
+  });
+
+  it("finds a projective transform", () => {
+    const expected = new ProjectiveTransform([
+      [1.02, 0.01, 4.0],
+      [-0.01, 1.01, 3.0],
+      [1e-5, -2e-5, 1],
+    ]);
+    const [t, [srcControlP, dstControlP]] = findTransform(
+      source,
+      expected.apply(source),
+      { model: "projective" }
+    );
+    expect(t).toBeInstanceOf(ProjectiveTransform);
+    expect(t.matrix[2][0]).toBeCloseTo(1e-5, 10);
+    expect(t.matrix[2][1]).toBeCloseTo(-2e-5, 10);
+    expect(srcControlP.length).toBeGreaterThan(20);
+    expect(Math.max(...t.residuals(srcControlP, dstControlP))).toBeLessThan(
+      1e-6
+    );
+  });
+});
+
+describe("findTransform with mirrored images", () => {
+  const random = seededRandom(23);
+  const source = Array.from({ length: 30 }, () => [
+    random() * 500,
+    random() * 500,
+  ]);
+  // Flip the y axis, then rotate by 30 degrees, scale and shift
+  const [c, s] = [1.1 * Math.cos(Math.PI / 6), 1.1 * Math.sin(Math.PI / 6)];
+  const mirrored = source.map(([x, y]) => [
+    c * x + s * y + 20,
+    s * x - c * y + 600,
+  ]);
+
+  it("finds mirrored similarity transforms", () => {
+    const result = findTransform(source, mirrored, { seed: 1 });
+    expect(result.parity).toBe(-1);
+    expect(result.nInliers).toBe(source.length);
+    expect(result.scale).toBeCloseTo(1.1, 8);
+    expect(result.rotation).toBeCloseTo(Math.PI / 6, 8);
+    expect(result.rms).toBeLessThan(1e-8);
+
+    const proper = findTransform(
+      source,
+      mirrored.map(([x, y]) => [x, -y])
+    );
+    expect(proper.parity).toBe(1);
+    expect(proper.nInliers).toBe(source.length);
+  });
+
+  it("finds mirrored affine transforms", () => {
+    const expected = new AffineTransform([
+      [1.05, 0.03, 12.0],
+      [0.02, -0.98, 400.0],
+      [0, 0, 1],
+    ]);
+    const result = findTransform(source, expected.apply(source), {
+      model: "affine",
+    });
+    expect(result.parity).toBe(-1);
+    expect(result.rms).toBeLessThan(1e-8);
+  });
+
+  it("restricts the parity when asked to", () => {
+    expect(findTransform(source, mirrored, { parity: -1 }).parity).toBe(-1);
+    expect(() => findTransform(source, mirrored, { parity: 1 })).toThrow(
+      MaxIterError
+    );
+    expect(() =>
+      findTransform(source, mirrored, { model: "affine", parity: 1 })
+    ).toThrow(MaxIterError);
+    expect(() => findTransform(source, mirrored, { parity: 0 })).toThrow(
+      RangeError
+    );
+  });
+});
+
+describe("findTransform options", () => {
+  const random = seededRandom(5);
+  const source = Array.from({ length: 20 }, () => [
+    random() * 100,
+    random() * 100,
+  ]);
+  const target = source.map(([x, y]) => [0.8 * x - 0.6 * y, 0.6 * x + 0.8 * y]);
+
+  it("accepts an options object", () => {
+    const [t, [srcControlP]] = findTransform(source, target, {
+      maxControlPoints: 10,
+      numNearestNeighbors: 6,
+      pixelTol: 0.5,
+      seed: 1,
+    });
+    expect(nudged.transform.getScale(t)).toBeCloseTo(1, 10);
+    expect(srcControlP.length).toBe(10);
+  });
+
+  it("keeps the positional arguments", () => {
+    const [, [srcControlP]] = findTransform(source, target, 10);
+    expect(srcControlP.length).toBe(10);
+  });
+
+  it("uses matchRadius to match triangles", () => {
+    // Perturb the target so that no triangle matches with a tiny radius
+    const noisy = target.map(([x, y]) => [x + random(), y + random()]);
+    expect(() => findTransform(source, noisy, { matchRadius: 1e-9 })).toThrow(
+      "List of matching triangles exhausted"
+    );
+  });
+
+  it("validates the options", () => {
+    expect(() => findTransform(source, target, { maxPoints: 10 })).toThrow(
+      'Unknown option "maxPoints".'
+    );
+    expect(() => findTransform(source, target, { pixelTol: -1 })).toThrow(
+      RangeError
+    );
+    expect(() => findTransform(source, target, { minArea: 2.5 })).toThrow(
+      'Option "minArea" must be a positive integer, got 2.5.'
+    );
+    expect(() => findTransform(source, target, { seed: "abc" })).toThrow(
+      TypeError
+    );
+    expect(() => findTransform(source, target, { model: "rigid" })).toThrow(
+      'Unknown transform model "rigid"'
+    );
+  });
+});
+
+describe("findTransform with weighted points", () => {
+  const random = seededRandom(41);
+  const toTarget = ([x, y]) => [0.8 * x - 0.6 * y + 30, 0.6 * x + 0.8 * y - 5];
+  // A few precise bright stars and many noisy faint ones
+  const source = [];
+  const target = [];
+  for (let i = 0; i < 30; i++) {
+    const p = [random() * 200, random() * 200];
+    const noise = i % 3 === 0 ? 0.02 : 0.6;
+    const [qx, qy] = toTarget(p);
+    source.push([...p, 1 / noise ** 2]);
+    target.push([
+      qx + noise * (random() - 0.5) * 2,
+      qy + noise * (random() - 0.5) * 2,
+      1 / noise ** 2,
+    ]);
+  }
+  const maxError = (t) =>
+    Math.max(
+      ...source.map((p) => {
+        const [ex, ey] = toTarget(p);
+        const [x, y] = t.apply([p[0], p[1]]);
+        return Math.hypot(x - ex, y - ey);
+      })
+    );
+
+  it("fits the transform by weighted least squares", () => {
+    const weighted = findTransform(source, target, { seed: 1 });
+    const unweighted = findTransform(
+      source.map(([x, y]) => [x, y]),
+      target.map(([x, y]) => [x, y]),
+      { seed: 1 }
+    );
+    expect(weighted.sourceControlPoints[0]).toHaveLength(3);
+    expect(maxError(weighted.transform)).toBeLessThan(0.05);
+    expect(maxError(weighted.transform)).toBeLessThan(
+      0.5 * maxError(unweighted.transform)
+    );
+  });
+
+  it("gives the points without a weight the median weight", () => {
+    const points = [
+      [0, 0, 1e5],
+      [1, 0],
+      [0, 1, 1e5],
+    ];
+    const model = new MatchTransform(points, points);
+    expect(Array.from(model.sourceWeights)).toEqual([1, 1, 1]);
+  });
+
+  it("rejects weights that are not positive", () => {
+    const bad = source.map(([x, y], i) => [x, y, i === 4 ? 0 : 1]);
+    expect(() => findTransform(bad, target)).toThrow(InvalidInputError);
+    expect(() => findTransform(bad, target)).toThrow(
+      "Weight of point 4 in source must be a positive number, got 0."
+    );
+  });
+});
+
+describe("findTransform with images", () => {
+  it("detects sources and finds the transform between two images", () => {
+    const random = seededRandom(42);
+    const width = 160;
+    const height = 120;
+    const alpha = Math.PI / 6;
+    const tx = 8.0,
+      ty = -5.0;
+    const toTarget = ([x, y]) => [
+      Math.cos(alpha) * x - Math.sin(alpha) * y + tx,
+      Math.sin(alpha) * x + Math.cos(alpha) * y + ty,
+    ];
+
+    const [sourceStars, targetStars] = makeStarFields(
+      width,
+      height,
+      toTarget,
+      random
+    );
+
+    const sourceImage = makeStarImage(width, height, sourceStars, random);
+    const targetImage = makeStarImage(width, height, targetStars, random);
+
+    const [t_est, [src_controlp, dst_controlp]] = findTransform(
+      sourceImage,
+      targetImage
+    );
+
+    expect(Math.abs(1.0 - nudged.transform.getScale(t_est))).toBeLessThan(1e-2);
+    expect(Math.abs(alpha - nudged.transform.getRotation(t_est))).toBeLessThan(
+      1e-2
+    );
+    const translationDiff = nudged.point.distance(
+      nudged.point.fromArray([tx, ty]),
+      nudged.transform.getTranslation(t_est)
+    );
+    expect(translationDiff).toBeLessThan(0.5);
+
+    // Control points must lie on the rendered stars, and are not weighted
+    expect(src_controlp.length).toBeGreaterThanOrEqual(3);
+    expect(src_controlp[0]).toHaveLength(2);
+    for (const [x, y] of src_controlp) {
+      const closest = Math.min(
+        ...sourceStars.map(([sx, sy]) => Math.hypot(sx - x, sy - y))
+      );
+      expect(closest).toBeLessThan(0.2);
+    }
+    for (const [x, y] of dst_controlp) {
+      const closest = Math.min(
+        ...targetStars.map(([sx, sy]) => Math.hypot(sx - x, sy - y))
+      );
+      expect(closest).toBeLessThan(0.2);
+    }
+  });
+});
+
+describe("findTransform input formats", () => {
+  const random = seededRandom(3);
+  const width = 120;
+  const height = 100;
+  const toTarget = ([x, y]) => [y + 10, -x + 110];
+  const [sourceStars, targetStars] = makeStarFields(
+    width,
+    height,
+    toTarget,
+    random,
+    15
+  );
+  const sourceImage = makeStarImage(width, height, sourceStars, random);
+  const targetImage = makeStarImage(width, height, targetStars, random);
+
+  const expectRotation = (t) => {
+    expect(nudged.transform.getRotation(t)).toBeCloseTo(-Math.PI / 2, 2);
+    expect(nudged.transform.getScale(t)).toBeCloseTo(1, 2);
+  };
+
+  it("accepts ndarrays", () => {
+    const toNdarray = (image) =>
+      ndarray(Float32Array.from(image.flat()), [height, width]);
+    const [t] = findTransform(toNdarray(sourceImage), toNdarray(targetImage));
+    expectRotation(t);
+  });
+
+  it("accepts {data, width, height} objects", () => {
+    const toObject = (image) => ({
+      data: Float32Array.from(image.flat()),
+      width,
+      height,
+    });
+    const [t] = findTransform(toObject(sourceImage), targetImage);
+    expectRotation(t);
+  });
+
+  it("accepts RGBA image data and multi-channel arrays", () => {
+    const toImageData = (image) => ({
+      data: Uint8ClampedArray.from(
+        image.flat().flatMap((v) => [v / 10, v / 10, v / 10, 255])
+      ),
+      width,
+      height,
+    });
+    const toRGB = (image) => image.map((row) => row.map((v) => [v, v, v]));
+    const [t] = findTransform(toImageData(sourceImage), toRGB(targetImage));
+    expectRotation(t);
+  });
+
+  it("does not take two-column images for point lists", () => {
+    const narrow = ndarray(new Float64Array(2 * 50).fill(1), [50, 2]);
+    expect(() => findTransform(narrow, targetImage)).toThrow(
+      "Reference stars in source image are less than the minimum value (3)."
+    );
+  });
+
+  it("reads two-column nested arrays as images with sourceKind", () => {
+    const narrow = Array.from({ length: 50 }, () => [1, 1]);
+    expect(() =>
+      findTransform(narrow, targetImage, { sourceKind: "image" })
+    ).toThrow(
+      "Reference stars in source image are less than the minimum value (3)."
+    );
+  });
+
+  it("requires point lists with sourceKind and targetKind points", () => {
+    const points = [
+      [1, 2],
+      [3, 4],
+      [5, 7],
+    ];
+    expect(
+      findTransform(points, points, { targetKind: "points" }).nInliers
+    ).toBe(3);
+    for (const input of [sourceImage, [[1, 2], [3]], [[1, "a"]]]) {
+      expect(() =>
+        findTransform(input, points, { sourceKind: "points" })
+      ).toThrow(InvalidInputError);
+    }
+    expect(() => findTransform(points, points, { sourceKind: "list" })).toThrow(
+      TypeError
+    );
+  });
+
+  it("rejects flat typed arrays without a shape", () => {
+    expect(() =>
+      findTransform(Float32Array.from(sourceImage.flat()), targetImage)
+    ).toThrow(TypeError);
+  });
+});
+
+describe("findTransform with large images", () => {
+  const random = seededRandom(7);
+  const width = 400;
+  const height = 300;
+  const [c, s] = [Math.cos(0.1), Math.sin(0.1)];
+  const toTarget = ([x, y]) => [
+    c * (x - 200) - s * (y - 150) + 210.3,
+    s * (x - 200) + c * (y - 150) + 146.7,
+  ];
+  const [sourceStars, targetStars] = makeStarFields(
+    width,
+    height,
+    toTarget,
+    random,
+    40
+  );
+  const sourceImage = makeStarImage(width, height, sourceStars, random);
+  const targetImage = makeStarImage(width, height, targetStars, random);
+  const maxError = (t) =>
+    Math.max(
+      ...sourceStars.map(([x, y]) => {
+        const [ex, ey] = toTarget([x, y]);
+        const [tx, ty] = t.apply([x, y]);
+        return Math.hypot(tx - ex, ty - ey);
+      })
+    );
+
+  it("matches binned images and refines the transform at full resolution", () => {
+    const result = findTransform(sourceImage, targetImage, {
+      binning: 4,
+      tileSize: 64,
+      seed: 1,
+    });
+    expect(maxError(result.transform)).toBeLessThan(0.01);
+    expect(result.nInliers).toBeGreaterThan(30);
+    expect(Math.max(...result.residuals)).toBeLessThanOrEqual(2);
+    // The control points are measured at full resolution
+    for (const [x, y] of result.sourcePoints) {
+      const distances = sourceStars.map(([sx, sy]) =>
+        Math.hypot(sx - x, sy - y)
+      );
+      expect(Math.min(...distances)).toBeLessThan(0.1);
+    }
+  });
+
+  it("keeps the binned result if the full resolution fit is degenerate", () => {
+    const result = findTransform(
+      sourceStars.map(([x, y]) => [x, y]),
+      targetStars.map(([x, y]) => [x, y]),
+      { model: "affine", seed: 1 }
+    );
+    // Collinear control points cannot be fitted by an affine transform
+    const collinear = (points) => points.map((_, i) => [i, 2 * i]);
+    const refined = refineResult(
+      result,
+      collinear(result.sourceControlPoints),
+      collinear(result.targetControlPoints),
+      resolveOptions({ model: "affine" })
+    );
+    expect(refined).toBe(result);
+  });
+
+  it("refines the transform with an Aligner too", () => {
+    const aligner = new Aligner(targetImage, { binning: 4, seed: 1 });
+    expect(maxError(aligner.align(sourceImage).transform)).toBeLessThan(0.01);
+  });
+
+  it("validates the options", () => {
+    expect(() =>
+      findTransform(sourceImage, targetImage, { tileSize: 8 })
+    ).toThrow('Option "tileSize" must be null or an integer of at least 16');
+    expect(() =>
+      findTransform(sourceImage, targetImage, { binning: 0 })
+    ).toThrow(RangeError);
+  });
+});
+
+describe("masks and bad pixels", () => {
+  const random = seededRandom(23);
+  const width = 160;
+  const height = 120;
+  const toTarget = ([x, y]) => [x + 6, y - 4];
+  const [sourceStars, targetStars] = makeStarFields(
+    width,
+    height,
+    toTarget,
+    random
+  );
+  const sourceImage = makeStarImage(width, height, sourceStars, random);
+  const targetImage = makeStarImage(width, height, targetStars, random);
+
+  // Hot pixels, brighter than any star, away from the stars
+  const hotPixels = [];
+  while (hotPixels.length < 8) {
+    const x = 5 + Math.floor(random() * (width - 10));
+    const y = 5 + Math.floor(random() * (height - 10));
+    if (sourceStars.every(([sx, sy]) => Math.hypot(sx - x, sy - y) > 8)) {
+      hotPixels.push([x, y]);
+    }
+  }
+  const hotImage = sourceImage.map((row) => [...row]);
+  const hotMask = sourceImage.map((row) => row.map(() => false));
+  for (const [x, y] of hotPixels) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        hotImage[y + dy][x + dx] = 5000;
+        hotMask[y + dy][x + dx] = true;
+      }
+    }
+  }
+  const nearHotPixel = ([x, y]) =>
+    hotPixels.some(([hx, hy]) => Math.hypot(hx - x, hy - y) < 2);
+
+  it("detects hot pixels as sources without a mask", () => {
+    const result = findTransform(hotImage, targetImage, { seed: 1 });
+    expect(result.sourceControlPoints.some(nearHotPixel)).toBe(true);
+  });
+
+  it("ignores masked pixels in the detection", () => {
+    const result = findTransform(hotImage, targetImage, {
+      sourceMask: hotMask,
+      seed: 1,
+    });
+    expect(result.sourceControlPoints.some(nearHotPixel)).toBe(false);
+    const [dx, dy] = result.transform.translation;
+    expect(dx).toBeCloseTo(6, 0);
+    expect(dy).toBeCloseTo(-4, 0);
+  });
+
+  it("ignores NaN pixels in the detection", () => {
+    const nanImage = hotImage.map((row, y) =>
+      row.map((v, x) => (hotMask[y][x] ? NaN : v))
+    );
+    const result = findTransform(nanImage, targetImage, { seed: 1 });
+    expect(result.sourceControlPoints.some(nearHotPixel)).toBe(false);
+    expect(result.nInliers).toBeGreaterThanOrEqual(3);
+  });
+
+  it("discards sources next to bad pixels", () => {
+    const [sx, sy] = sourceStars[0];
+    const mask = sourceImage.map((row) => row.map(() => false));
+    mask[Math.round(sy)][Math.round(sx) + 2] = true;
+    const result = findTransform(sourceImage, targetImage, {
+      sourceMask: mask,
+      seed: 1,
+    });
+    for (const [x, y] of result.sourceControlPoints) {
+      expect(Math.hypot(x - sx, y - sy)).toBeGreaterThan(1);
+    }
+  });
+
+  it("rejects masks of a different size", () => {
+    expect(() =>
+      findTransform(sourceImage, targetImage, {
+        targetMask: [[true, false]],
+      })
+    ).toThrow(InvalidInputError);
+  });
+
+  it("propagates bad pixels into the footprint of register", () => {
+    const [aligned, footprint] = register(hotImage, targetImage, {
+      sourceMask: hotMask,
+      fillValue: -1,
+      seed: 1,
+    });
+    for (const [x, y] of hotPixels) {
+      const [tx, ty] = toTarget([x, y]);
+      expect(footprint[ty][tx]).toBe(true);
+      expect(aligned[ty][tx]).toBe(-1);
+    }
+    const [sx, sy] = toTarget(sourceStars[0]).map(Math.round);
+    expect(footprint[sy][sx]).toBe(false);
+  });
+});
+
+describe("findSources", () => {
+  const random = seededRandom(31);
+  const width = 130;
+  const height = 110;
+  const [stars] = makeStarFields(width, height, (p) => p, random);
+  const image = makeStarImage(width, height, stars, random);
+  const fwhm = 2 * Math.sqrt(2 * Math.log(2)) * 1.5;
+
+  const rmsError = (sources, expected) =>
+    Math.sqrt(
+      sources.reduce(
+        (sum, { x, y }) =>
+          sum +
+          Math.min(...expected.map(([sx, sy]) => Math.hypot(sx - x, sy - y))) **
+            2,
+        0
+      ) / sources.length
+    );
+
+  it("measures the position and shape of the stars", () => {
+    for (const centroid of ["moments", "windowed", "gaussian"]) {
+      const sources = findSources(image, { centroid });
+      expect(sources).toHaveLength(stars.length);
+      expect(rmsError(sources, stars)).toBeLessThan(0.05);
+      for (let k = 1; k < sources.length; k++) {
+        expect(sources[k].flux).toBeLessThanOrEqual(sources[k - 1].flux);
+      }
+    }
+    for (const source of findSources(image, { centroid: "gaussian" })) {
+      expect(source.fwhm).toBeCloseTo(fwhm, 0);
+      expect(source.ellipticity).toBeLessThan(0.1);
+      expect(source.error).toBeGreaterThan(0);
+      expect(source.error).toBeLessThan(0.05);
+      expect(source.saturated).toBe(false);
+      expect(source.area).toBeGreaterThanOrEqual(5);
+    }
+    expect(findSources(image, { maxSources: 3 })).toEqual(
+      findSources(image).slice(0, 3)
+    );
+  });
+
+  it("fits undersampled stars better than their moments", () => {
+    // Stars narrower than a pixel, integrated over the area of the pixels
+    const sigma = 0.6;
+    const narrow = Array.from({ length: height }, () =>
+      Array.from({ length: width }, () => 100 + 5 * (random() - 0.5))
+    );
+    for (const [sx, sy, amp] of stars) {
+      for (let y = Math.floor(sy) - 3; y <= Math.floor(sy) + 3; y++) {
+        for (let x = Math.floor(sx) - 3; x <= Math.floor(sx) + 3; x++) {
+          let sum = 0;
+          for (let j = 0; j < 10; j++) {
+            for (let i = 0; i < 10; i++) {
+              const r2 =
+                (x - 0.45 + i / 10 - sx) ** 2 + (y - 0.45 + j / 10 - sy) ** 2;
+              sum += Math.exp(-r2 / (2 * sigma ** 2)) / 100;
+            }
+          }
+          narrow[y][x] += (amp / 4) * sum;
+        }
+      }
+    }
+    const options = { minArea: 3 };
+    const moments = findSources(narrow, options);
+    const gaussian = findSources(narrow, { ...options, centroid: "gaussian" });
+    expect(gaussian).toHaveLength(moments.length);
+    expect(rmsError(gaussian, stars)).toBeLessThan(
+      0.6 * rmsError(moments, stars)
+    );
+  });
+
+  it("flags saturated stars and fits them on their wings", () => {
+    const [sx, sy] = stars[0];
+    const saturated = makeStarImage(
+      width,
+      height,
+      [[sx, sy, 5000], ...stars.slice(1)],
+      random
+    ).map((row) => row.map((v) => Math.min(v, 3000)));
+
+    const sources = findSources(saturated, {
+      centroid: "gaussian",
+      saturation: 3000,
+    });
+    const flagged = sources.filter((source) => source.saturated);
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0].peak).toBe(3000);
+    expect(Math.hypot(flagged[0].x - sx, flagged[0].y - sy)).toBeLessThan(0.1);
+    expect(flagged[0].fwhm).toBeCloseTo(fwhm, 0);
+
+    const result = findTransform(saturated, image, {
+      saturation: 3000,
+      seed: 1,
+    });
+    for (const [x, y] of result.sourceControlPoints) {
+      expect(Math.hypot(x - sx, y - sy)).toBeGreaterThan(1);
+    }
+    const [dx, dy] = result.transform.translation;
+    expect(dx).toBeCloseTo(0, 1);
+    expect(dy).toBeCloseTo(0, 1);
+  });
+
+  it("tells cosmic rays and extended objects from stars", () => {
+    // Keep the stars away from the cosmic ray and the galaxy
+    const mixed = makeStarImage(
+      width,
+      height,
+      stars.filter(([x, y]) => x < 30 || x > 110 || Math.abs(y - 50) > 16),
+      random
+    );
+    // A cosmic ray hit on a single pixel
+    mixed[50][41] += 3000;
+    // An elongated galaxy, 4 by 2 pixels
+    for (let y = 40; y <= 60; y++) {
+      for (let x = 70; x <= 110; x++) {
+        const r2 = ((x - 90.3) / 4) ** 2 + ((y - 50.2) / 2) ** 2;
+        mixed[y][x] += 300 * Math.exp(-r2 / 2);
+      }
+    }
+    const sources = findSources(mixed, { minArea: 1, centroid: "gaussian" });
+    const near = (x, y) =>
+      sources.find((source) => Math.hypot(source.x - x, source.y - y) < 1);
+    expect(near(41, 50).fwhm).toBeLessThan(1);
+    expect(near(90.3, 50.2).fwhm).toBeGreaterThan(1.5 * fwhm);
+    expect(near(90.3, 50.2).ellipticity).toBeCloseTo(0.5, 1);
+  });
+
+  it("estimates the background in tiles", () => {
+    // A gradient, as from the moon or vignetting
+    const gradient = image.map((row) => row.map((v, x) => v + 2 * x));
+    // A single background level misses the stars on the faint side
+    expect(findSources(gradient).length).toBeLessThan(stars.length);
+    const sources = findSources(gradient, { tileSize: 16 });
+    expect(sources).toHaveLength(stars.length);
+    expect(rmsError(sources, stars)).toBeLessThan(0.05);
+  });
+
+  it("validates the options", () => {
+    expect(() => findSources(image, { model: "affine" })).toThrow(
+      'Unknown option "model".'
+    );
+    expect(() => findSources(image, { centroid: "psf" })).toThrow(TypeError);
+    expect(() => findSources(image, { saturation: "high" })).toThrow(TypeError);
+    expect(() => findSources(image, { maxSources: 0 })).toThrow(RangeError);
+    expect(() => findTransform(image, image, { centroid: "psf" })).toThrow(
+      'Option "centroid" must be one of moments, windowed, gaussian'
+    );
+  });
+});
+
+describe("Aligner", () => {
+  const random = seededRandom(31);
+  const reference = Array.from({ length: 25 }, () => [
+    random() * 500,
+    random() * 500,
+  ]);
+  const frames = [0.1, -0.2, 0.3].map((alpha) =>
+    reference.map(([x, y]) => [
+      Math.cos(alpha) * x - Math.sin(alpha) * y + 10 * alpha,
+      Math.sin(alpha) * x + Math.cos(alpha) * y - 5,
+    ])
+  );
+
+  it("aligns frames against a precomputed reference", () => {
+    const aligner = new Aligner(reference, { seed: 2 });
+    expect(aligner.referenceControlPoints).toEqual(reference);
+
+    for (const frame of frames) {
+      const result = aligner.align(frame);
+      const expected = findTransform(frame, reference, { seed: 2 });
+      expect(result.transform.matrix).toEqual(expected.transform.matrix);
+      expect(result.matches).toEqual(expected.matches);
+      expect(result.nInliers).toBe(reference.length);
+    }
+  });
+
+  it("collects per-frame failures without stopping the batch", () => {
+    const aligner = new Aligner(reference);
+    const results = aligner.alignAll([
+      frames[0],
+      frames[1].slice(0, 2),
+      { data: [], width: 3, height: 3 },
+      frames[2],
+    ]);
+
+    expect(results.map(({ index }) => index)).toEqual([0, 1, 2, 3]);
+    expect(results[0].error).toBe(null);
+    expect(results[0].result.rotation).toBeCloseTo(-0.1, 10);
+    expect(results[1].result).toBe(null);
+    expect(results[1].error).toBeInstanceOf(TooFewSourcesError);
+    expect(results[2].error).toBeInstanceOf(InvalidInputError);
+    expect(results[3].result.rotation).toBeCloseTo(-0.3, 10);
+  });
+
+  it("registers images onto the reference image", () => {
+    const imgRandom = seededRandom(32);
+    const toTarget = ([x, y]) => [x + 7, y - 4];
+    const [sourceStars, referenceStars] = makeStarFields(
+      120,
+      100,
+      toTarget,
+      imgRandom
+    );
+    const sourceImage = makeStarImage(120, 100, sourceStars, imgRandom);
+    const referenceImage = makeStarImage(120, 100, referenceStars, imgRandom);
+
+    const aligner = new Aligner(referenceImage);
+    const [aligned, footprint] = aligner.register(sourceImage, 0);
+
+    expect(footprint[0][0]).toBe(true);
+    expect(footprint[0][119]).toBe(false);
+    for (const [x, y, amp] of referenceStars) {
+      const [ix, iy] = [Math.round(x), Math.round(y)];
+      const diff = Math.abs(aligned[iy][ix] - referenceImage[iy][ix]);
+      expect(diff).toBeLessThan(0.1 * amp);
+    }
+  });
+});
+
+describe("applyTransform", () => {
+  it("shifts an image by a whole number of pixels", () => {
+    const source = Array.from({ length: 5 }, (_, y) =>
+      Array.from({ length: 6 }, (_, x) => 10 * y + x)
+    );
+    const shift = nudged.transform.create(1, 0, 2, 1);
+
+    const [aligned, footprint] = applyTransform(shift, source, source, -1);
+
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 6; x++) {
+        if (x < 2 || y < 1) {
+          expect(footprint[y][x]).toBe(true);
+          expect(aligned[y][x]).toBe(-1);
+        } else {
+          expect(footprint[y][x]).toBe(false);
+          expect(aligned[y][x]).toBeCloseTo(source[y - 1][x - 2], 10);
+        }
+      }
+    }
+  });
+
+  it("returns multi-channel images in the format of the source", () => {
+    const source = {
+      data: Uint8ClampedArray.from({ length: 4 * 3 * 2 }, (_, i) => i),
+      width: 4,
+      height: 3,
+    };
+    const target = ndarray(new Float64Array(4 * 3), [3, 4]);
+    const shift = nudged.transform.create(1, 0, 1, 0);
+
+    const [aligned, footprint] = applyTransform(shift, source, target, 0);
+
+    expect(aligned.width).toBe(4);
+    expect(aligned.height).toBe(3);
+    expect(aligned.data.length).toBe(4 * 3 * 2);
+    expect(footprint.data.length).toBe(4 * 3);
+    for (let y = 0; y < 3; y++) {
+      expect(footprint.data[y * 4]).toBe(1);
+      for (let x = 1; x < 4; x++) {
+        for (let c = 0; c < 2; c++) {
+          const pos = (y * 4 + x) * 2 + c;
+          expect(aligned.data[pos]).toBeCloseTo(source.data[pos - 2], 10);
+        }
+      }
+    }
+  });
+
+  it("conserves the flux of stars when asked to", () => {
+    const random = seededRandom(5);
+    const star = [[20, 18, 500]];
+    const source = makeStarImage(40, 36, star, random).map((row) =>
+      row.map((v) => v - 100)
+    );
+    const target = Array.from({ length: 72 }, () => new Array(80).fill(0));
+    const zoom = nudged.transform.create(2, 0, 0, 0);
+    const starFlux = (image, [x, y], r) => {
+      let sum = 0;
+      for (let iy = Math.round(y - r); iy <= Math.round(y + r); iy++) {
+        for (let ix = Math.round(x - r); ix <= Math.round(x + r); ix++) {
+          sum += image[iy][ix];
+        }
+      }
+      return sum;
+    };
+    const flux = starFlux(source, [20, 18], 6);
+
+    for (const interpolation of ["bilinear", "bicubic", "lanczos"]) {
+      const [brightness] = applyTransform(zoom, source, target, {
+        interpolation,
+      });
+      const [conserved] = applyTransform(zoom, source, target, {
+        interpolation,
+        conserveFlux: true,
+      });
+      expect(starFlux(brightness, [40, 36], 12) / flux).toBeCloseTo(4, 1);
+      expect(starFlux(conserved, [40, 36], 12) / flux).toBeCloseTo(1, 1);
+    }
+  });
+
+  it("treats masked pixels like pixels outside the source", () => {
+    const source = Array.from({ length: 5 }, (_, y) =>
+      Array.from({ length: 6 }, (_, x) => 10 * y + x)
+    );
+    source[1][1] = NaN;
+    const mask = source.map((row) => row.map(() => false));
+    mask[3][4] = true;
+    const shift = nudged.transform.create(1, 0, 1, 0);
+
+    const [aligned, footprint] = applyTransform(shift, source, source, {
+      mask,
+      fillValue: -1,
+    });
+
+    expect(footprint[1][2]).toBe(true);
+    expect(footprint[3][5]).toBe(true);
+    expect(aligned[3][5]).toBe(-1);
+    expect(footprint[2][2]).toBe(false);
+    expect(aligned[2][2]).toBeCloseTo(source[2][1], 10);
+  });
+
+  it("resamples the rows of the aligned image in blocks", () => {
+    const random = seededRandom(9);
+    const source = makeStarImage(30, 20, [[12, 9, 400]], random);
+    source[4][7] = NaN;
+    const mask = source.map((row) => row.map(() => false));
+    mask[15][20] = true;
+    const rotation = nudged.transform.create(0.98, 0.17, 1.5, -2);
+    const options = { mask, interpolation: "lanczos", conserveFlux: true };
+    const [aligned, footprint] = applyTransform(
+      rotation,
+      source,
+      source,
+      options
+    );
+
+    const resampleRows = resampler(rotation, source, options);
+    for (let y0 = 0; y0 < 20; y0 += 7) {
+      const y1 = Math.min(20, y0 + 7);
+      const [rows, rowsFootprint] = resampleRows(y0, y1, 30);
+      for (let y = y0; y < y1; y++) {
+        for (let x = 0; x < 30; x++) {
+          expect(rowsFootprint.get(y - y0, x)).toBe(footprint[y][x] ? 1 : 0);
+          expect(rows.get(y - y0, x)).toBe(aligned[y][x]);
+        }
+      }
+    }
+  });
+
+  it("validates the resampling options", () => {
+    const image = [
+      [1, 2],
+      [3, 4],
+    ];
+    const identity = nudged.transform.create(1, 0, 0, 0);
+    expect(() =>
+      applyTransform(identity, image, image, { interpolation: "spline" })
+    ).toThrow(TypeError);
+    expect(() =>
+      applyTransform(identity, image, image, { conserveFlux: "yes" })
+    ).toThrow(TypeError);
+    expect(() =>
+      applyTransform(identity, image, image, { fillvalue: 0 })
+    ).toThrow(TypeError);
+  });
+});
+
+describe("register", () => {
+  it("aligns the source image onto the target image", () => {
+    const random = seededRandom(7);
+    const width = 160;
+    const height = 120;
+    const alpha = -Math.PI / 10;
+    const toTarget = ([x, y]) => [
+      Math.cos(alpha) * x - Math.sin(alpha) * y + 12,
+      Math.sin(alpha) * x + Math.cos(alpha) * y + 20,
+    ];
+    const [sourceStars, targetStars] = makeStarFields(
+      width,
+      height,
+      toTarget,
+      random
+    );
+    const sourceImage = makeStarImage(width, height, sourceStars, random);
+    const targetImage = makeStarImage(width, height, targetStars, random);
+
+    const [aligned, footprint] = register(sourceImage, targetImage, {
+      fillValue: 0,
+      maxControlPoints: 30,
+    });
+
+    expect(aligned.length).toBe(height);
+    expect(aligned[0].length).toBe(width);
+    // The top-left corner of the target is not covered by the source
+    expect(footprint[0][0]).toBe(true);
+    expect(aligned[0][0]).toBe(0);
+
+    // Stars in the aligned image must be at the target positions
+    for (const [x, y, amp] of targetStars) {
+      const [ix, iy] = [Math.round(x), Math.round(y)];
+      expect(footprint[iy][ix]).toBe(false);
+      const diff = Math.abs(aligned[iy][ix] - targetImage[iy][ix]);
+      expect(diff).toBeLessThan(0.1 * amp);
+    }
+  });
+});
+
+describe("register with a distortion model", () => {
+  const random = seededRandom(13);
+  const width = 240;
+  const height = 180;
+  // A shift with a radial distortion of about 6 pixels at the corners
+  const toTarget = ([x, y]) => {
+    const [u, v] = [x - width / 2, y - height / 2];
+    const k = 1 + (6 / 150 ** 3) * Math.hypot(u, v) ** 2;
+    return [width / 2 + k * u + 2, height / 2 + k * v - 3];
+  };
+  const [sourceStars, targetStars] = makeStarFields(
+    width,
+    height,
+    toTarget,
+    random,
+    60
+  );
+  const sourceImage = makeStarImage(width, height, sourceStars, random);
+  const targetImage = makeStarImage(width, height, targetStars, random);
+
+  // Mean absolute difference with the target at the brightest pixel of
+  // each target star
+  const starError = (aligned) =>
+    targetStars.reduce((sum, [x, y]) => {
+      const [ix, iy] = [Math.round(x), Math.round(y)];
+      return sum + Math.abs(aligned[iy][ix] - targetImage[iy][ix]);
+    }, 0) / targetStars.length;
+
+  it("resamples with the polynomial fitted to the control points", () => {
+    const options = { maxControlPoints: 60, seed: 1, interpolation: "lanczos" };
+    const [linear] = register(sourceImage, targetImage, options);
+    const [distorted] = register(sourceImage, targetImage, {
+      ...options,
+      distortionOrder: 3,
+    });
+    expect(starError(distorted)).toBeLessThan(0.25 * starError(linear));
+  });
+
+  it("validates the distortion order", () => {
+    expect(() =>
+      register(sourceImage, targetImage, { distortionOrder: 0 })
+    ).toThrow(RangeError);
+    expect(() =>
+      register(sourceImage, targetImage, { distortionOrder: "3" })
+    ).toThrow(TypeError);
+  });
+});
+
+describe("ransac", () => {
+  // Fit 1D data to its mean
+  const meanModel = {
+    nFits: 0,
+    fit(data) {
+      this.nFits++;
+      return data.reduce((sum, v) => sum + v, 0) / data.length;
+    },
+    getError(data, m) {
+      return data.map((v) => Math.abs(v - m));
+    },
+  };
+  const data = [
+    ...Array.from({ length: 12 }, (_, i) => i * 0.1),
+    ...Array.from({ length: 5 }, (_, i) => 100 + i * 0.1),
+  ];
+
+  it("selects the model with most inliers", () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const [fit, inliers] = ransac(data, meanModel, 2, 3, { seed });
+      expect(fit).toBeCloseTo(0.55, 10);
+      expect(inliers).toEqual(Array.from({ length: 12 }, (_, i) => i));
+    }
+  });
+
+  it("is reproducible with a seed", () => {
+    const results = [];
+    const random = seededRandom(9);
+    const source = Array.from({ length: 25 }, () => [
+      random() * 200,
+      random() * 200,
+    ]);
+    // A few outliers among rotated points
+    const target = source.map(([x, y], i) =>
+      i % 6 === 0 ? [random() * 200, random() * 200] : [y + 3, -x + 7]
+    );
+    for (let run = 0; run < 2; run++) {
+      results.push(findTransform(source, target, { seed: 1234 }));
+    }
+    expect(results[0].transform.matrix).toEqual(results[1].transform.matrix);
+    expect(results[0].matches).toEqual(results[1].matches);
+  });
+
+  it("stops early once the confidence is reached", () => {
+    const clean = Array.from({ length: 100 }, (_, i) => i * 0.001);
+    meanModel.nFits = 0;
+    ransac(clean, meanModel, 2, 3, { seed: 1, confidence: 0.99 });
+    // One candidate with all inliers is enough, plus the final refit
+    expect(meanModel.nFits).toBe(3);
+
+    meanModel.nFits = 0;
+    ransac(data, meanModel, 2, 3, { seed: 1, maxIter: 4, confidence: 1 });
+    expect(meanModel.nFits).toBeLessThanOrEqual(4 * 2 + 10);
+  });
+
+  it("throws when no model has enough inliers", () => {
+    expect(() => ransac(data, meanModel, 2, 20, { seed: 1 })).toThrow(
+      "List of matching triangles exhausted"
+    );
+  });
+});
@@ -0,0 +1,305 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import ndarray from "ndarray";
+import {
+  AlignmentResult,
+  findTransform,
+  isPointList,
+  resolveOptions,
+} from "./astroalign.js";
+import { data } from "./image.js";
+import { Transform } from "./transform.js";
+import {
+  AstroalignError,
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError,
+} from "./errors.js";
+
+/**
+ * Error classes that are rebuilt by name when they cross the worker boundary.
+ */
+const ERROR_CLASSES = {
+  AstroalignError,
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError,
+  TypeError,
+  RangeError,
+};
+
+/**
+ * Convert an input of findTransform into a message that can be posted to a
+ * worker, and collect the buffers to transfer with it.
+ *
+ * Point lists are posted as they are. Images are posted as the data, shape,
+ * stride and offset of their ndarray. The pixel buffer is transferred if it
+ * was created for the conversion (nested arrays and canvases) or if
+ * `transfer` is true; otherwise it is copied.
+ *
+ * @param {*} input - Any of the inputs accepted by findTransform, or a mask
+ * @param {string} which - Name of the input for error messages: "source" or "target"
+ * @param {string} kind - How to read the input, see the sourceKind option of findTransform, or "mask" for the mask of `which`
+ * @param {boolean} transfer - Whether to transfer the buffers of the caller
+ * @param {ArrayBuffer[]} transferList - List to add the buffers to transfer to
+ * @returns {Object} The message for the input
+ * @throws {InvalidInputError} If the input is not supported, as in findTransform
+ */
+function packInput(input, which, kind, transfer, transferList) {
+  const isMask = kind === "mask";
+  if (!isMask && isPointList(input, which, kind)) {
+    return { points: input };
+  }
+  let image;
+  try {
+    image = data(input);
+  } catch (error) {
+    throw new InvalidInputError(
+      isMask
+        ? `Mask for ${which} not supported: ${error.message}`
+        : `Input type for ${which} not supported: ${error.message}`,
+      { image: which, cause: error }
+    );
+  }
+  const created =
+    Array.isArray(input) || typeof input.getContext === "function";
+  if (
+    (created || transfer) &&
+    ArrayBuffer.isView(image.data) &&
+    image.data.buffer instanceof ArrayBuffer &&
+    !transferList.includes(image.data.buffer)
+  ) {
+    transferList.push(image.data.buffer);
+  }
+  return {
+    data: image.data,
+    shape: image.shape,
+    stride: image.stride,
+    offset: image.offset,
+  };
+}
+
+/**
+ * Rebuild the input of findTransform from its message, see packInput.
+ *
+ * @param {Object} message - Message of the input
+ * @returns {*} A point list or an ndarray
+ */
+function unpackInput(message) {
+  if (message.points) {
+    return message.points;
+  }
+  const { data, shape, stride, offset } = message;
+  return ndarray(data, shape, stride, offset);
+}
+
+/**
+ * Convert an AlignmentResult into a message.
+ *
+ * @param {AlignmentResult} result - Result of findTransform
+ * @returns {Object} The message for the result
+ */
+function packResult(result) {
+  return { ...result, transform: result.transform.toJSON() };
+}
+
+/**
+ * Rebuild an AlignmentResult from its message, see packResult.
+ *
+ * @param {Object} message - Message of the result
+ * @returns {AlignmentResult} The alignment result
+ */
+function unpackResult(message) {
+  return new AlignmentResult({
+    ...message,
+    transform: Transform.fromJSON(message.transform),
+  });
+}
+
+/**
+ * Convert an error into a message that keeps its class name and fields.
+ *
+ * @param {Error} error - Error thrown by findTransform
+ * @returns {Object} The message for the error
+ */
+function packError(error) {
+  const { name, message, cause, ...fields } = error;
+  return {
+    ...fields,
+    name,
+    message,
+    cause: cause instanceof Error ? packError(cause) : undefined,
+  };
+}
+
+/**
+ * Rebuild an error from its message, see packError.
+ *
+ * @param {Object} message - Message of the error
+ * @returns {Error} An instance of the original error class, or of Error
+ */
+function unpackError(message) {
+  const { name, message: text, cause, ...fields } = message;
+  const ErrorClass = Object.hasOwn(ERROR_CLASSES, name)
+    ? ERROR_CLASSES[name]
+    : Error;
+  const options =
+    cause === undefined ? undefined : { cause: unpackError(cause) };
+  const error = new ErrorClass(text, options);
+  Object.assign(error, fields);
+  return error;
+}
+
+/**
+ * Run findTransform on the messages posted to a worker, see worker.js.
+ *
+ * @param {Object} message - Message with the `source`, `target` and `options` of findTransform
+ * @returns {Object} Message with either the `result` or the `error`
+ */
+function handleRequest({ source, target, options }) {
+  const { sourceMask, targetMask } = options;
+  try {
+    const result = findTransform(unpackInput(source), unpackInput(target), {
+      ...options,
+      sourceMask: sourceMask && unpackInput(sourceMask),
+      targetMask: targetMask && unpackInput(targetMask),
+    });
+    return { result: packResult(result) };
+  } catch (error) {
+    return { error: packError(error) };
+  }
+}
+
+/**
+ * Start a worker running worker.js: a Web Worker in browsers and a
+ * worker_threads Worker in Node.
+ *
+ * @returns {Promise<Object>} The worker
+ */
+async function startWorker() {
+  const Worker =
+    globalThis.Worker ?? (await import("node:worker_threads")).Worker;
+  return new Worker(new URL("./worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+/**
+ * Listen to the events of a Web Worker or a worker_threads Worker.
+ *
+ * @param {Object} worker - The worker
+ * @param {string} type - Event type: "message", "messageerror", "error" or "exit"
+ * @param {Function} callback - Called with the message data or the error
+ */
+function listen(worker, type, callback) {
+  if (typeof worker.addEventListener === "function") {
+    worker.addEventListener(type, (event) =>
+      callback(type === "message" ? event.data : (event.error ?? event))
+    );
+  } else {
+    worker.on(type, callback);
+  }
+}
+
+/**
+ * Find the transform between source and target without blocking the
+ * calling thread.
+ *
+ * Works like findTransform, but the detection of sources, the invariants
+ * and RANSAC run in a worker: a Web Worker in browsers and a worker_threads
+ * Worker in Node. Each call starts its own worker, which is terminated when
+ * the call settles.
+ *
+ * The pixel buffers of the images are transferred to the worker without
+ * copying when they were created just for it (nested arrays and canvases).
+ * The buffers of ndarrays and `{data, width, height}` images belong to the
+ * caller, so they are copied, unless `transfer` is true: then they are
+ * moved and become unusable (detached) in the calling thread.
+ *
+ * @param {number[][]|Object} source - Source image or list of points, see findTransform
+ * @param {number[][]|Object} target - Target image or list of points, see findTransform
+ * @param {Object} options - Options object, see findTransform
+ * @param {AbortSignal} options.signal - Signal to cancel the alignment; the worker is terminated and the promise rejects with the abort reason
+ * @param {boolean} options.transfer - Whether to transfer the buffers of the images of the caller (default false)
+ * @returns {Promise<AlignmentResult>} The alignment result, see findTransform; rejects with the error of findTransform, or if the worker fails or exits without a result
+ */
+async function findTransformAsync(source, target, options = {}) {
+  const { signal, transfer = false, ...findOptions } = options;
+  if (typeof transfer !== "boolean") {
+    throw new TypeError(
+      `Option "transfer" must be a boolean, got ${String(transfer)}.`
+    );
+  }
+  const { sourceKind, targetKind } = resolveOptions(findOptions);
+  signal?.throwIfAborted();
+
+  const transferList = [];
+  const { sourceMask, targetMask } = findOptions;
+  const message = {
+    source: packInput(source, "source", sourceKind, transfer, transferList),
+    target: packInput(target, "target", targetKind, transfer, transferList),
+    options: {
+      ...findOptions,
+      sourceMask:
+        sourceMask &&
+        packInput(sourceMask, "source", "mask", transfer, transferList),
+      targetMask:
+        targetMask &&
+        packInput(targetMask, "target", "mask", transfer, transferList),
+    },
+  };
+
+  const worker = await startWorker();
+  let onAbort;
+  try {
+    return await new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+      onAbort = () => reject(signal.reason);
+      signal?.addEventListener("abort", onAbort);
+      listen(worker, "error", reject);
+      listen(worker, "messageerror", (error) =>
+        reject(
+          error instanceof Error
+            ? error
+            : new Error("The result of the worker could not be read.")
+        )
+      );
+      // Only in Node: a worker that is killed or runs out of memory exits
+      // without an error event. Exits after the result are ignored.
+      listen(worker, "exit", (code) =>
+        reject(
+          new Error(`The worker exited with code ${code} without a result.`)
+        )
+      );
+      listen(worker, "message", ({ result, error }) =>
+        error ? reject(unpackError(error)) : resolve(unpackResult(result))
+      );
+      worker.postMessage(message, transferList);
+    });
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    worker.terminate();
+  }
+}
+
+export { findTransformAsync, handleRequest };
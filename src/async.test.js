@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from "vitest";
+import { EventEmitter } from "node:events";
+import ndarray from "ndarray";
+import { findTransformAsync } from "./async.js";
+import { AlignmentResult, findTransform } from "./astroalign.js";
+import { data } from "./image.js";
+import { SimilarityTransform } from "./transform.js";
+import { InvalidInputError, TooFewSourcesError } from "./errors.js";
+import { seededRandom, makeStarImage, makeStarFields } from "./test-utils.js";
+
+describe("findTransformAsync", () => {
+  const random = seededRandom(11);
+  const [sourceStars, targetStars] = makeStarFields(
+    100,
+    80,
+    ([x, y]) => [x + 4, y - 3],
+    random,
+    15
+  );
+  const sourcePoints = sourceStars.map(([x, y]) => [x, y]);
+  const targetPoints = targetStars.map(([x, y]) => [x, y]);
+
+  it("returns the same result as findTransform", async () => {
+    const options = { seed: 3 };
+    const expected = findTransform(sourcePoints, targetPoints, options);
+
+    const result = await findTransformAsync(
+      sourcePoints,
+      targetPoints,
+      options
+    );
+
+    expect(result).toBeInstanceOf(AlignmentResult);
+    expect(result.transform).toBeInstanceOf(SimilarityTransform);
+    expect(result.transform.matrix).toEqual(expected.transform.matrix);
+    expect(result.matches).toEqual(expected.matches);
+    expect(result.nInliers).toBe(expected.nInliers);
+  });
+
+  it("copies the buffers of the caller unless asked to transfer them", async () => {
+    const source = data(makeStarImage(100, 80, sourceStars, random));
+    const target = data(makeStarImage(100, 80, targetStars, random));
+
+    const copied = await findTransformAsync(source, target);
+    expect(source.data.byteLength).toBe(100 * 80 * 8);
+    const [dx, dy] = copied.transform.translation;
+    expect(dx).toBeCloseTo(4, 0);
+    expect(dy).toBeCloseTo(-3, 0);
+
+    const moved = await findTransformAsync(source, target, { transfer: true });
+    expect(source.data.byteLength).toBe(0);
+    expect(target.data.byteLength).toBe(0);
+    expect(moved.transform.matrix).toEqual(copied.transform.matrix);
+  });
+
+  it("sends the masks to the worker", async () => {
+    const source = data(makeStarImage(100, 80, sourceStars, random));
+    const target = data(makeStarImage(100, 80, targetStars, random));
+    const [sx, sy] = sourceStars[0];
+    const mask = ndarray(new Uint8Array(100 * 80), [80, 100]);
+    mask.set(Math.round(sy), Math.round(sx), 1);
+
+    const result = await findTransformAsync(source, target, {
+      sourceMask: mask,
+    });
+
+    for (const [x, y] of result.sourceControlPoints) {
+      expect(Math.hypot(x - sx, y - sy)).toBeGreaterThan(1);
+    }
+    expect(result.transform.translation[0]).toBeCloseTo(4, 0);
+  });
+
+  it("rejects with the error class of findTransform", async () => {
+    const error = await findTransformAsync(
+      sourcePoints.slice(0, 2),
+      targetPoints
+    ).then(
+      () => null,
+      (e) => e
+    );
+
+    expect(error).toBeInstanceOf(TooFewSourcesError);
+    expect(error.image).toBe("source");
+    expect(error.found).toBe(2);
+    expect(error.required).toBe(3);
+  });
+
+  it("rejects invalid options without starting a worker", async () => {
+    await expect(
+      findTransformAsync(sourcePoints, targetPoints, { pixelTol: -1 })
+    ).rejects.toThrow(RangeError);
+    await expect(
+      findTransformAsync(sourcePoints, targetPoints, { transfer: "yes" })
+    ).rejects.toThrow(TypeError);
+  });
+
+  it("rejects unsupported inputs with InvalidInputError", async () => {
+    const error = await findTransformAsync(sourcePoints, {
+      data: [1, 2, 3],
+      width: 2,
+      height: 2,
+    }).then(
+      () => null,
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(InvalidInputError);
+    expect(error.image).toBe("target");
+  });
+
+  it("reads the inputs as sourceKind and targetKind say", async () => {
+    const image = data(makeStarImage(100, 80, targetStars, random));
+    await expect(
+      findTransformAsync(sourcePoints, image, { targetKind: "points" })
+    ).rejects.toBeInstanceOf(InvalidInputError);
+    const result = await findTransformAsync(sourcePoints, targetPoints, {
+      sourceKind: "points",
+      targetKind: "points",
+      seed: 3,
+    });
+    expect(result.nInliers).toBe(sourcePoints.length);
+  });
+
+  it("rejects when the worker exits without a result", async () => {
+    // A worker that is killed as soon as it gets the request
+    vi.doMock("node:worker_threads", () => ({
+      Worker: class extends EventEmitter {
+        postMessage() {
+          setImmediate(() => this.emit("exit", 137));
+        }
+        terminate() {}
+      },
+    }));
+    vi.resetModules();
+    try {
+      const { findTransformAsync: withKilledWorker } =
+        await import("./async.js");
+      await expect(
+        withKilledWorker(sourcePoints, targetPoints)
+      ).rejects.toThrow("The worker exited with code 137 without a result.");
+    } finally {
+      vi.doUnmock("node:worker_threads");
+      vi.resetModules();
+    }
+  });
+
+  it("can be cancelled with an AbortSignal", async () => {
+    const aborted = AbortSignal.abort();
+    await expect(
+      findTransformAsync(sourcePoints, targetPoints, { signal: aborted })
+    ).rejects.toThrow(aborted.reason);
+
+    const controller = new AbortController();
+    const pending = findTransformAsync(
+      data(makeStarImage(100, 80, sourceStars, random)),
+      data(makeStarImage(100, 80, targetStars, random)),
+      { signal: controller.signal }
+    );
+    controller.abort(new Error("Cancelled"));
+    await expect(pending).rejects.toThrow("Cancelled");
+  });
+});
@@ -0,0 +1,359 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import createKDTree from "static-kdtree";
+import { data } from "./image.js";
+import { TooFewSourcesError } from "./errors.js";
+import { PolynomialTransform, toTransform } from "./transform.js";
+
+/**
+ * Number of segments each edge of a box is split into when it is mapped
+ * through a polynomial transform, see mapBox.
+ */
+const EDGE_SEGMENTS = 32;
+
+/**
+ * Return the width and height of the frame given as bounds.
+ *
+ * @param {number[][]|Object} bounds - An image in any of the formats accepted by findTransform, or a `{width, height}` object
+ * @returns {number[]} The [width, height] of the frame
+ */
+function frameSize(bounds) {
+  if (
+    bounds &&
+    bounds.data === undefined &&
+    Number.isFinite(bounds.width) &&
+    Number.isFinite(bounds.height)
+  ) {
+    return [bounds.width, bounds.height];
+  }
+  const [height, width] = data(bounds).shape;
+  return [width, height];
+}
+
+/**
+ * Return whether the point (x, y) falls on a pixel of a frame of the given
+ * size. Pixel centers are at integer positions, so the frame spans from
+ * -0.5 to width - 0.5 in x and from -0.5 to height - 0.5 in y.
+ *
+ * @param {number[]} point - An (x, y) point
+ * @param {number[]} size - The [width, height] of the frame
+ * @returns {boolean} Whether the point is inside the frame
+ */
+function isInside([x, y], [width, height]) {
+  return x >= -0.5 && x < width - 0.5 && y >= -0.5 && y < height - 0.5;
+}
+
+/**
+ * Return the (x, y) position of a catalog entry.
+ *
+ * @param {Array|Object} entry - An `[x, y, ...]` row or an `{x, y, ...}` object
+ * @param {number} i - Index of the entry, for error messages
+ * @param {string} which - Name of the catalog, for error messages
+ * @returns {number[]} The (x, y) position
+ * @throws {TypeError} If the entry has no finite x and y
+ */
+function position(entry, i, which = "Catalog") {
+  const [x, y] = Array.isArray(entry) ? entry : [entry?.x, entry?.y];
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new TypeError(
+      `${which} entry ${i} must be an [x, y, ...] array or an {x, y} object ` +
+        "with finite coordinates."
+    );
+  }
+  return [x, y];
+}
+
+/**
+ * Return the transform to apply, reversed if `inverse` is true.
+ *
+ * @param {Transform|Object} transform - A Transform or a nudged transform
+ * @param {boolean} inverse - Whether to map from the target into the source
+ * @returns {Transform} The transform to apply
+ */
+function direction(transform, inverse) {
+  const t = toTransform(transform);
+  return inverse ? t.inverse() : t;
+}
+
+/**
+ * Map a catalog of positions from the source frame into the target frame,
+ * or back with the `inverse` option.
+ *
+ * Catalog entries are either arrays `[x, y, ...]` or objects `{x, y, ...}`,
+ * and the extra columns or properties (fluxes, names, aperture radii...)
+ * are copied as they are into the mapped entries.
+ *
+ * When `bounds` is given, the entries that fall outside of it are flagged
+ * in `inside`. Pixel centers are at integer positions, so a frame of width
+ * w spans from -0.5 to w - 0.5 in x.
+ *
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @param {Array} catalog - Array of `[x, y, ...]` rows or `{x, y, ...}` objects
+ * @param {Object} options - Mapping options
+ * @param {number[][]|Object} options.bounds - The frame the catalog is mapped into: an image in any of the formats accepted by findTransform, or a `{width, height}` object (default none)
+ * @param {boolean} options.inverse - Whether to map from the target frame into the source frame (default false)
+ * @returns {Object} `{catalog, inside}` where catalog has the mapped entries, in the same order and format, and inside whether each of them falls inside the bounds (all true without bounds)
+ * @throws {TypeError} If the catalog is not an array, an entry has no finite x and y, or bounds is not an image
+ */
+function mapCatalog(transform, catalog, { bounds, inverse = false } = {}) {
+  if (!Array.isArray(catalog)) {
+    throw new TypeError("The catalog must be an array of points.");
+  }
+  const t = direction(transform, inverse);
+  const size = bounds === undefined ? null : frameSize(bounds);
+  const mapped = [];
+  const inside = [];
+  catalog.forEach((entry, i) => {
+    const [x, y] = t.apply(position(entry, i));
+    mapped.push(
+      Array.isArray(entry) ? [x, y, ...entry.slice(2)] : { ...entry, x, y }
+    );
+    inside.push(size === null || isInside([x, y], size));
+  });
+  return { catalog: mapped, inside };
+}
+
+/**
+ * Map a rectangular region from the source frame into the target frame, or
+ * back with the `inverse` option.
+ *
+ * The region is given by its corner with the smallest coordinates and its
+ * size, in the pixel coordinates of mapCatalog. Its outline is mapped, and
+ * the box returned is the smallest one with sides along the axes that
+ * contains it. Straight lines stay straight through similarity, affine and
+ * projective transforms, so mapping the four corners is enough and the box
+ * contains the whole mapped region. A PolynomialTransform bends the edges,
+ * which can bulge past the corners, so the outline is then sampled at
+ * EDGE_SEGMENTS points per edge; the box contains the mapped region up to
+ * the bulge of the edges between two samples.
+ *
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @param {Object} box - The `{x, y, width, height}` region
+ * @param {Object} options - Mapping options
+ * @param {number[][]|Object} options.bounds - The frame the box is mapped into, see mapCatalog (default none)
+ * @param {boolean} options.inverse - Whether to map from the target frame into the source frame (default false)
+ * @returns {Object} `{x, y, width, height, corners, inside}` with the bounding box of the mapped region, its four mapped corners, and whether the whole box is inside the bounds (true without bounds)
+ * @throws {TypeError} If the box does not have finite x, y, width and height
+ */
+function mapBox(transform, box, { bounds, inverse = false } = {}) {
+  const { x, y, width, height } = box ?? {};
+  if (![x, y, width, height].every(Number.isFinite)) {
+    throw new TypeError(
+      "Boxes must be {x, y, width, height} objects with finite values."
+    );
+  }
+  const t = direction(transform, inverse);
+  const boxCorners = [
+    [x, y],
+    [x + width, y],
+    [x + width, y + height],
+    [x, y + height],
+  ];
+  const corners = t.apply(boxCorners);
+  let outline = corners;
+  if (t instanceof PolynomialTransform) {
+    const edges = boxCorners.flatMap(([x0, y0], i) => {
+      const [x1, y1] = boxCorners[(i + 1) % 4];
+      return Array.from({ length: EDGE_SEGMENTS }, (_, k) => [
+        x0 + ((x1 - x0) * k) / EDGE_SEGMENTS,
+        y0 + ((y1 - y0) * k) / EDGE_SEGMENTS,
+      ]);
+    });
+    outline = t.apply(edges);
+  }
+  const xs = outline.map((p) => p[0]);
+  const ys = outline.map((p) => p[1]);
+  const mapped = {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+  };
+  let inside = true;
+  if (bounds !== undefined) {
+    const [frameWidth, frameHeight] = frameSize(bounds);
+    inside =
+      mapped.x >= -0.5 &&
+      mapped.y >= -0.5 &&
+      mapped.x + mapped.width <= frameWidth - 0.5 &&
+      mapped.y + mapped.height <= frameHeight - 0.5;
+  }
+  return { ...mapped, corners, inside };
+}
+
+/**
+ * Cross-match a source catalog with a target catalog through the transform
+ * between their frames.
+ *
+ * The source entries are mapped into the target frame, see mapCatalog, and
+ * paired with the target entries within `radius` pixels of them, found with
+ * a KD-tree. Matches are one-to-one: the closest pairs are taken first and
+ * each entry is used at most once, so crowded entries are paired with their
+ * nearest counterpart rather than with all of their neighbors.
+ *
+ * Unlike the control points of findTransform, the catalogs can have any
+ * number of entries, e.g. all the stars of a field for photometric
+ * calibration.
+ *
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @param {Array} sourceCatalog - Source `[x, y, ...]` rows or `{x, y, ...}` objects
+ * @param {Array} targetCatalog - Target `[x, y, ...]` rows or `{x, y, ...}` objects
+ * @param {Object} options - Matching options
+ * @param {number} options.radius - Maximum distance in target pixels between matched entries (default 2)
+ * @returns {Object} `{matches, distances}` where matches are the pairs [i, j] of indices of matching source and target entries, sorted by i, and distances their distances in target pixels
+ * @throws {TypeError} If a catalog is not an array or an entry has no finite x and y
+ * @throws {RangeError} If radius is not a finite positive number
+ */
+function crossMatch(
+  transform,
+  sourceCatalog,
+  targetCatalog,
+  { radius = 2 } = {}
+) {
+  if (!(Number.isFinite(radius) && radius > 0)) {
+    throw new RangeError('Option "radius" must be a finite positive number.');
+  }
+  if (!Array.isArray(sourceCatalog) || !Array.isArray(targetCatalog)) {
+    throw new TypeError("The catalogs must be arrays of points.");
+  }
+  const t = toTransform(transform);
+  const mapped = sourceCatalog.map((entry, i) =>
+    t.apply(position(entry, i, "Source"))
+  );
+  const targets = targetCatalog.map((entry, j) => position(entry, j, "Target"));
+
+  // Every pair within the radius is a candidate, and the closest ones win
+  const candidates = [];
+  const tree = createKDTree(targets);
+  mapped.forEach(([x, y], i) => {
+    tree.rnn([x, y], radius, (j) => {
+      const [tx, ty] = targets[j];
+      candidates.push([i, j, Math.hypot(tx - x, ty - y)]);
+    });
+  });
+  candidates.sort((a, b) => a[2] - b[2]);
+
+  const sourceUsed = new Uint8Array(mapped.length);
+  const targetUsed = new Uint8Array(targets.length);
+  const pairs = [];
+  for (const [i, j, distance] of candidates) {
+    if (!sourceUsed[i] && !targetUsed[j]) {
+      sourceUsed[i] = targetUsed[j] = 1;
+      pairs.push([i, j, distance]);
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0]);
+  return {
+    matches: pairs.map(([i, j]) => [i, j]),
+    distances: pairs.map((pair) => pair[2]),
+  };
+}
+
+/**
+ * Fit a polynomial distortion model to the stars of two catalogs, starting
+ * from a transform between their frames, e.g. the similarity found by
+ * findTransform for a wide-field image.
+ *
+ * The catalogs are cross-matched through the transform, see crossMatch,
+ * and the polynomials of order `order` are fitted to the matched stars, see
+ * PolynomialTransform. Since the distortion grows towards the edges of the
+ * field, the catalogs are then matched again through the polynomials and
+ * refitted, until the matches do not change or after `maxIters` fits, so
+ * that stars beyond `radius` from their linear position are matched too.
+ *
+ * The polynomials are only valid inside the area covered by the matched
+ * stars, so the catalogs should cover the whole field.
+ *
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @param {Array} sourceCatalog - Source `[x, y, ...]` rows or `{x, y, ...}` objects
+ * @param {Array} targetCatalog - Target `[x, y, ...]` rows or `{x, y, ...}` objects
+ * @param {Object} options - Fitting options
+ * @param {number} options.order - Order of the polynomials (default 3)
+ * @param {number} options.radius - Maximum distance in target pixels between matched stars (default 2)
+ * @param {number} options.maxIters - Maximum number of fits (default 5)
+ * @returns {Object} `{transform, matches, residuals}` where transform is the PolynomialTransform, matches are the pairs [i, j] of indices of the source and target stars used in the fit, and residuals the distances in target pixels between the transformed source stars and their matches
+ * @throws {TypeError} If a catalog is not an array or an entry has no finite x and y
+ * @throws {RangeError} If an option is out of range
+ * @throws {TooFewSourcesError} If fewer stars are matched than coefficients in each polynomial
+ */
+function fitDistortion(
+  transform,
+  sourceCatalog,
+  targetCatalog,
+  { order = 3, radius = 2, maxIters = 5 } = {}
+) {
+  if (!Number.isInteger(order) || order < 1) {
+    throw new RangeError('Option "order" must be a positive integer.');
+  }
+  if (!Number.isInteger(maxIters) || maxIters < 1) {
+    throw new RangeError('Option "maxIters" must be a positive integer.');
+  }
+  if (!Array.isArray(sourceCatalog) || !Array.isArray(targetCatalog)) {
+    throw new TypeError("The catalogs must be arrays of points.");
+  }
+  const nTerms = ((order + 1) * (order + 2)) / 2;
+  const sourcePoints = sourceCatalog.map((entry, i) =>
+    position(entry, i, "Source")
+  );
+  const targetPoints = targetCatalog.map((entry, j) =>
+    position(entry, j, "Target")
+  );
+
+  let current = transform;
+  let matches = null;
+  for (let iter = 0; iter < maxIters; iter++) {
+    const next = crossMatch(current, sourcePoints, targetPoints, { radius });
+    const converged =
+      matches !== null &&
+      next.matches.length === matches.length &&
+      next.matches.every(
+        ([i, j], k) => i === matches[k][0] && j === matches[k][1]
+      );
+    if (converged) {
+      break;
+    }
+    matches = next.matches;
+    if (matches.length < nTerms) {
+      throw new TooFewSourcesError(
+        `Only ${matches.length} stars were matched, a polynomial of order ` +
+          `${order} needs ${nTerms} of them.`,
+        { found: matches.length, required: nTerms }
+      );
+    }
+    current = PolynomialTransform.estimate(
+      matches.map(([i]) => sourcePoints[i]),
+      matches.map(([, j]) => targetPoints[j]),
+      order
+    );
+  }
+  return {
+    transform: current,
+    matches,
+    residuals: current.residuals(
+      matches.map(([i]) => sourcePoints[i]),
+      matches.map(([, j]) => targetPoints[j])
+    ),
+  };
+}
+
+export { mapCatalog, mapBox, crossMatch, fitDistortion };
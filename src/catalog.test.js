@@ -0,0 +1,265 @@
+import { describe, it, expect } from "vitest";
+import ndarray from "ndarray";
+import nudged from "nudged";
+import { mapCatalog, mapBox, crossMatch, fitDistortion } from "./catalog.js";
+import { TooFewSourcesError } from "./errors.js";
+import {
+  AffineTransform,
+  PolynomialTransform,
+  ProjectiveTransform,
+} from "./transform.js";
+import { seededRandom } from "./test-utils.js";
+
+const transform = new AffineTransform([
+  [1.02, 0.05, 3],
+  [-0.03, 0.97, 4],
+  [0, 0, 1],
+]);
+
+describe("mapCatalog", () => {
+  it("maps array and object entries keeping their other columns", () => {
+    const { catalog, inside } = mapCatalog(transform, [
+      [10, 20, 150.5, "a"],
+      { x: 30, y: 5, flux: 80 },
+    ]);
+    const [x0, y0] = transform.apply([10, 20]);
+    const [x1, y1] = transform.apply([30, 5]);
+    expect(catalog).toEqual([[x0, y0, 150.5, "a"], { x: x1, y: y1, flux: 80 }]);
+    expect(inside).toEqual([true, true]);
+  });
+
+  it("flags the entries outside the bounds", () => {
+    const shift = nudged.transform.create(1, 0, 5, -5);
+    const points = [
+      [0, 10],
+      [0, 4],
+      [14.4, 10],
+      [14.6, 10],
+      [-5.6, 10],
+    ];
+    const expected = [true, false, true, false, false];
+    for (const bounds of [
+      { width: 20, height: 30 },
+      ndarray(new Float64Array(20 * 30), [30, 20]),
+      { data: new Uint8ClampedArray(20 * 30 * 4), width: 20, height: 30 },
+    ]) {
+      expect(mapCatalog(shift, points, { bounds }).inside).toEqual(expected);
+    }
+  });
+
+  it("maps back with the inverse transform", () => {
+    const projective = new ProjectiveTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0.001, -0.002, 1],
+    ]);
+    const points = [
+      [12, 7],
+      [40, 33],
+    ];
+    const { catalog } = mapCatalog(projective, points);
+    const back = mapCatalog(projective, catalog, { inverse: true }).catalog;
+    back.forEach(([x, y], i) => {
+      expect(x).toBeCloseTo(points[i][0], 10);
+      expect(y).toBeCloseTo(points[i][1], 10);
+    });
+  });
+
+  it("throws for invalid catalogs", () => {
+    expect(() => mapCatalog(transform, "catalog")).toThrow(TypeError);
+    expect(() => mapCatalog(transform, [[1, NaN]])).toThrow(TypeError);
+    expect(() => mapCatalog(transform, [{ ra: 1, dec: 2 }])).toThrow(TypeError);
+  });
+});
+
+describe("mapBox", () => {
+  it("returns the bounding box of the mapped corners", () => {
+    const rotation = nudged.transform.create(0, 1, 50, 0);
+    const box = mapBox(rotation, { x: 10, y: 20, width: 30, height: 5 });
+    // A quarter turn maps (x, y) into (50 - y, x)
+    expect(box.x).toBeCloseTo(25, 10);
+    expect(box.y).toBeCloseTo(10, 10);
+    expect(box.width).toBeCloseTo(5, 10);
+    expect(box.height).toBeCloseTo(30, 10);
+    expect(box.corners).toHaveLength(4);
+    expect(box.corners[0][0]).toBeCloseTo(30, 10);
+    expect(box.corners[0][1]).toBeCloseTo(10, 10);
+    expect(box.inside).toBe(true);
+  });
+
+  it("contains the edges that a polynomial transform bends", () => {
+    // The vertical edges bulge by 10 pixels in x at their middle
+    const bend = ([x, y]) => [x - 0.004 * (y - 50) ** 2 + 10, y];
+    const grid = [0, 25, 50, 75, 100].flatMap((y) =>
+      [0, 25, 50, 75, 100].map((x) => [x, y])
+    );
+    const polynomial = PolynomialTransform.estimate(grid, grid.map(bend), 2);
+    const region = { x: 0, y: 0, width: 100, height: 100 };
+
+    const box = mapBox(polynomial, region, {
+      bounds: { width: 105, height: 101 },
+    });
+    expect(Math.max(...box.corners.map(([x]) => x))).toBeCloseTo(100, 6);
+    expect(box.x).toBeCloseTo(0, 6);
+    expect(box.width).toBeCloseTo(110, 6);
+    expect(box.inside).toBe(false);
+  });
+
+  it("flags boxes that are not entirely inside the bounds", () => {
+    const bounds = { width: 40, height: 40 };
+    const region = { x: 5, y: 5, width: 20, height: 20 };
+    expect(mapBox(transform, region, { bounds }).inside).toBe(true);
+    expect(mapBox(transform, { ...region, width: 40 }, { bounds }).inside).toBe(
+      false
+    );
+
+    const back = mapBox(transform, mapBox(transform, region), {
+      inverse: true,
+    });
+    // The bounding box of a sheared box is larger than the box
+    expect(back.x).toBeLessThan(region.x);
+    expect(back.width).toBeGreaterThan(region.width);
+  });
+
+  it("throws for invalid boxes", () => {
+    expect(() => mapBox(transform, { x: 1, y: 2 })).toThrow(TypeError);
+    expect(() => mapBox(transform, null)).toThrow(TypeError);
+  });
+});
+
+describe("crossMatch", () => {
+  it("matches full catalogs one to one within the radius", () => {
+    // A grid of stars, and the same stars in the target with some noise,
+    // a few missing and a few spurious ones
+    const source = [];
+    for (let y = 0; y < 10; y++) {
+      for (let x = 0; x < 10; x++) {
+        source.push({ x: x * 10 + 3, y: y * 10 + 5, id: source.length });
+      }
+    }
+    const target = [];
+    source.forEach(({ x, y, id }, i) => {
+      if (i % 7 !== 3) {
+        const [tx, ty] = transform.apply([x, y]);
+        target.push([tx + 0.3 * Math.sin(i), ty + 0.3 * Math.cos(i), id]);
+      }
+    });
+    target.push([500, 500, -1], [-40, 20, -1]);
+
+    const { matches, distances } = crossMatch(transform, source, target);
+    expect(matches).toHaveLength(target.length - 2);
+    expect(distances).toHaveLength(matches.length);
+    for (const [k, [i, j]] of matches.entries()) {
+      expect(target[j][2]).toBe(source[i].id);
+      expect(distances[k]).toBeCloseTo(0.3, 10);
+    }
+    expect(matches.map(([i]) => i)).toEqual(
+      [...matches.map(([i]) => i)].sort((a, b) => a - b)
+    );
+  });
+
+  it("pairs the closest entries first", () => {
+    const identity = nudged.transform.create(1, 0, 0, 0);
+    const source = [
+      [10, 10],
+      [11.5, 10],
+    ];
+    const target = [
+      [11, 10],
+      [13.5, 10],
+    ];
+    // Both sources are within the radius of the first target, and the
+    // second source is also within the radius of the second target
+    expect(crossMatch(identity, source, target, { radius: 2.5 })).toEqual({
+      matches: [[1, 0]],
+      distances: [0.5],
+    });
+    expect(crossMatch(identity, source, target, { radius: 4 })).toEqual({
+      matches: [
+        [0, 1],
+        [1, 0],
+      ],
+      distances: [3.5, 0.5],
+    });
+  });
+
+  it("checks its inputs", () => {
+    expect(() =>
+      crossMatch(transform, [[1, 2]], [[1, 2]], { radius: 0 })
+    ).toThrow(RangeError);
+    for (const radius of ["2", Infinity, NaN]) {
+      expect(() =>
+        crossMatch(transform, [[1, 2]], [[1, 2]], { radius })
+      ).toThrow(RangeError);
+    }
+    expect(() => crossMatch(transform, [[1, 2]], null)).toThrow(TypeError);
+    expect(crossMatch(transform, [[1, 2]], [])).toEqual({
+      matches: [],
+      distances: [],
+    });
+  });
+});
+
+describe("fitDistortion", () => {
+  // A similarity with a radial distortion that reaches 4 pixels at the
+  // corners of a 400x300 field
+  const similarity = nudged.transform.create(0.96, 0.28, 30, -10);
+  const distort = ([x, y]) => {
+    const [u, v] = [x - 200, y - 150];
+    const k = 4 / 250 ** 3;
+    const r = Math.hypot(u, v);
+    const [sx, sy] = [x + k * r * r * u, y + k * r * r * v];
+    return [
+      similarity.a * sx - similarity.b * sy + similarity.x,
+      similarity.b * sx + similarity.a * sy + similarity.y,
+    ];
+  };
+  const random = seededRandom(3);
+  const source = Array.from({ length: 150 }, () => [
+    random() * 400,
+    random() * 300,
+  ]);
+  const target = source
+    .map(distort)
+    .map(([x, y]) => [
+      x + 0.05 * (random() - 0.5),
+      y + 0.05 * (random() - 0.5),
+    ]);
+
+  it("fits the distortion and matches the stars at the edges", () => {
+    const linear = crossMatch(similarity, source, target);
+    expect(linear.matches.length).toBeLessThan(source.length);
+
+    const { transform, matches, residuals } = fitDistortion(
+      similarity,
+      source,
+      target,
+      { order: 3 }
+    );
+    expect(transform).toBeInstanceOf(PolynomialTransform);
+    expect(transform.order).toBe(3);
+    expect(matches).toHaveLength(source.length);
+    matches.forEach(([i, j]) => expect(j).toBe(i));
+    expect(Math.max(...residuals)).toBeLessThan(0.1);
+    const back = transform.inverse().apply(target[0]);
+    expect(back[0]).toBeCloseTo(source[0][0], 1);
+    expect(back[1]).toBeCloseTo(source[0][1], 1);
+  });
+
+  it("needs enough matched stars for the order", () => {
+    const error = (() => {
+      try {
+        fitDistortion(similarity, source.slice(0, 12), target.slice(0, 12), {
+          order: 4,
+        });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(TooFewSourcesError);
+    expect(error.required).toBe(15);
+    expect(() =>
+      fitDistortion(similarity, source, target, { order: 0 })
+    ).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,432 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import { applyTransform, findTransform } from "./astroalign.js";
+import { data } from "./image.js";
+import { AstroalignError, InvalidInputError } from "./errors.js";
+import { readFits, writeFits } from "./fits.js";
+import { readPng, writePng } from "./png.js";
+
+const USAGE = `Usage: astroalign [options] <source> <target>
+
+Find the transform that maps the source into the target. Inputs are images
+(.fits, .fit, .fts, .png) or star lists (.csv, .json) with x, y columns.
+Without output options, the transform is printed as JSON.
+
+Output options:
+  -o, --output <file>         Write the source image aligned with the target
+                              (.fits or .png); both inputs must be images
+  -t, --transform <file>      Write the transform as JSON ("-" for stdout)
+  -m, --matches <file>        Write the matched control points (.csv or
+                              .json; "-" for CSV on stdout)
+
+Alignment options, see findTransform:
+      --model <name>          similarity (default), affine or projective
+      --parity <p>            auto (default), 1 (proper) or -1 (mirrored,
+                              given as --parity=-1)
+      --max-control-points <n>
+      --detection-sigma <n>
+      --min-area <n>
+      --centroid <name>       moments (default), windowed or gaussian
+      --saturation <level>    Leave out the stars with pixels at this level
+      --tile-size <n>         Estimate the background in tiles of n pixels
+      --binning <n>           Match binned images first, for large images
+      --pixel-tol <n>
+      --match-radius <n>
+      --max-iter <n>
+      --seed <n>
+      --source-mask <file>    Image that is non-zero on bad source pixels
+      --target-mask <file>    Image that is non-zero on bad target pixels
+
+Resampling options, see applyTransform:
+      --fill-value <n>        Value outside the source (default 0)
+      --interpolation <name>  nearest, bilinear (default), bicubic, lanczos
+      --conserve-flux         Scale the values by the area change
+
+  -h, --help                  Show this help
+
+Exit status is 0 on success, 1 if the images cannot be aligned and 2 for
+invalid arguments or files.
+`;
+
+// Command line options and the findTransform or applyTransform option that
+// they set; null for the output options
+const OPTIONS = {
+  output: { type: "string", short: "o", option: null },
+  transform: { type: "string", short: "t", option: null },
+  matches: { type: "string", short: "m", option: null },
+  model: { type: "string", option: "model" },
+  parity: { type: "string", option: "parity" },
+  "max-control-points": { type: "string", option: "maxControlPoints" },
+  "detection-sigma": { type: "string", option: "detectionSigma" },
+  "min-area": { type: "string", option: "minArea" },
+  centroid: { type: "string", option: "centroid" },
+  saturation: { type: "string", option: "saturation" },
+  "tile-size": { type: "string", option: "tileSize" },
+  binning: { type: "string", option: "binning" },
+  "pixel-tol": { type: "string", option: "pixelTol" },
+  "match-radius": { type: "string", option: "matchRadius" },
+  "max-iter": { type: "string", option: "maxIter" },
+  seed: { type: "string", option: "seed" },
+  "source-mask": { type: "string", option: "sourceMask" },
+  "target-mask": { type: "string", option: "targetMask" },
+  "fill-value": { type: "string", option: "fillValue" },
+  interpolation: { type: "string", option: "interpolation" },
+  "conserve-flux": { type: "boolean", option: "conserveFlux" },
+  help: { type: "boolean", short: "h", option: null },
+};
+
+const NUMBER_OPTIONS = [
+  "maxControlPoints",
+  "detectionSigma",
+  "minArea",
+  "saturation",
+  "tileSize",
+  "binning",
+  "pixelTol",
+  "matchRadius",
+  "maxIter",
+  "seed",
+  "fillValue",
+];
+
+/**
+ * Raised for invalid command line arguments and unreadable files, which
+ * exit with status 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a star list in CSV format: one star per line with its x and y in
+ * the first two columns. Empty lines, lines starting with "#" and a header
+ * line are skipped.
+ *
+ * @param {string} text - Contents of the CSV file
+ * @returns {number[][]} Array of (x, y) points
+ */
+function parseCsv(text) {
+  const points = [];
+  for (const [i, line] of text.split(/\r?\n/).entries()) {
+    if (line.trim() === "" || line.startsWith("#")) {
+      continue;
+    }
+    const [x, y] = line
+      .split(/[,;\s]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      points.push([x, y]);
+    } else if (points.length > 0 || i > 0) {
+      throw new UsageError(`Invalid CSV line ${i + 1}: ${line}`);
+    }
+  }
+  return points;
+}
+
+/**
+ * Parse a star list in JSON format: an array of [x, y] pairs or of objects
+ * with x and y properties. Like the columns of CSV files, anything after
+ * the x and y of a star is ignored.
+ *
+ * @param {string} text - Contents of the JSON file
+ * @returns {number[][]} Array of (x, y) points
+ */
+function parseJson(text) {
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) {
+    throw new UsageError("JSON star lists must be arrays.");
+  }
+  return list.map((star, i) => {
+    const [x, y] = Array.isArray(star) ? star : [star?.x, star?.y];
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new UsageError(
+        `Invalid JSON star ${i}: ${JSON.stringify(star)}, ` +
+          "expected [x, y] or {x, y} with finite numbers."
+      );
+    }
+    return [x, y];
+  });
+}
+
+/**
+ * Read an input file: an image or a star list, depending on its extension.
+ *
+ * @param {string} path - Path of the file
+ * @returns {Promise<Object>} `{image, header, bitDepth}` for images or `{points}` for star lists
+ */
+async function readInput(path) {
+  const ext = extname(path).toLowerCase();
+  let bytes;
+  try {
+    bytes = await readFile(path);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path}: ${error.message}`);
+  }
+  try {
+    switch (ext) {
+      case ".fits":
+      case ".fit":
+      case ".fts":
+        return readFits(bytes);
+      case ".png": {
+        const png = readPng(bytes);
+        return { image: png, bitDepth: png.bitDepth };
+      }
+      case ".csv":
+        return { points: parseCsv(bytes.toString("utf8")) };
+      case ".json":
+        return { points: parseJson(bytes.toString("utf8")) };
+    }
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path}: ${error.message}`);
+  }
+  throw new UsageError(
+    `Unknown file type "${ext}" of ${path}, ` +
+      "expected .fits, .fit, .fts, .png, .csv or .json."
+  );
+}
+
+/**
+ * Write a file, or to stdout if path is "-".
+ *
+ * @param {string} path - Path of the file or "-"
+ * @param {string|Uint8Array} contents - Contents to write
+ * @param {Object} stdout - Stream for "-"
+ */
+async function writeOutput(path, contents, stdout) {
+  if (path === "-") {
+    stdout.write(contents);
+    return;
+  }
+  try {
+    await writeFile(path, contents);
+  } catch (error) {
+    throw new UsageError(`Cannot write ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Return the JSON description of an alignment result.
+ *
+ * @param {AlignmentResult} result - Result of findTransform
+ * @returns {string} JSON text
+ */
+function transformJson(result) {
+  const { transform } = result;
+  return (
+    JSON.stringify(
+      {
+        ...transform.toJSON(),
+        scale: transform.scale,
+        rotation: transform.rotation,
+        translation: transform.translation,
+        parity: transform.parity,
+        nInliers: result.nInliers,
+        inlierFraction: result.inlierFraction,
+        rms: result.rms,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Return the matched control points as CSV or JSON text.
+ *
+ * @param {AlignmentResult} result - Result of findTransform
+ * @param {string} format - "csv" or "json"
+ * @returns {string} The matches, one per row
+ */
+function matchesText(result, format) {
+  const rows = result.matches.map(([i, j], k) => ({
+    sourceX: result.sourceControlPoints[i][0],
+    sourceY: result.sourceControlPoints[i][1],
+    targetX: result.targetControlPoints[j][0],
+    targetY: result.targetControlPoints[j][1],
+    residual: result.residuals[k],
+  }));
+  if (format === "json") {
+    return JSON.stringify(rows, null, 2) + "\n";
+  }
+  const lines = rows.map((row) => Object.values(row).join(","));
+  return ["source_x,source_y,target_x,target_y,residual", ...lines, ""].join(
+    "\n"
+  );
+}
+
+/**
+ * Return the aligned image in the format of the output file.
+ *
+ * @param {Object} aligned - Aligned image, as returned by applyTransform
+ * @param {Object} source - Source input, see readInput
+ * @param {Object} target - Target input, see readInput
+ * @param {AlignmentResult} result - Result of findTransform
+ * @param {string} path - Path of the output file
+ * @returns {Uint8Array} The file contents
+ */
+function encodeImage(aligned, source, target, result, path) {
+  const ext = extname(path).toLowerCase();
+  if (ext === ".png") {
+    const image = data(aligned);
+    const [height, width] = image.shape;
+    return writePng(
+      { data: image.data, width, height },
+      source.bitDepth === 16 ? 16 : 8
+    );
+  }
+  if ([".fits", ".fit", ".fts"].includes(ext)) {
+    return writeFits(aligned, {
+      header: target.header ?? {},
+      transform: result.transform,
+    });
+  }
+  throw new UsageError(
+    `Unknown file type "${ext}" of ${path}, expected .fits or .png.`
+  );
+}
+
+/**
+ * Run the command line tool.
+ *
+ * @param {string[]} argv - Command line arguments, without the node and script paths
+ * @param {Object} io - Output streams
+ * @param {Object} io.stdout - Stream for the results (default process.stdout)
+ * @param {Object} io.stderr - Stream for the errors (default process.stderr)
+ * @returns {Promise<number>} Exit status: 0 on success, 1 if the alignment failed, 2 for invalid arguments
+ */
+async function main(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true,
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (positionals.length !== 2) {
+      throw new UsageError("Expected a source and a target file.");
+    }
+
+    const options = { fillValue: 0 };
+    for (const [name, value] of Object.entries(values)) {
+      const { option } = OPTIONS[name];
+      if (option === null) {
+        continue;
+      }
+      if (option === "parity" && value !== "auto") {
+        options[option] = Number(value);
+      } else if (!NUMBER_OPTIONS.includes(option)) {
+        options[option] = value;
+      } else if (value.trim() !== "" && !Number.isNaN(Number(value))) {
+        options[option] = Number(value);
+      } else {
+        throw new UsageError(`Option --${name} must be a number.`);
+      }
+    }
+    const { fillValue, interpolation, conserveFlux, ...findOptions } = options;
+    for (const mask of ["sourceMask", "targetMask"]) {
+      if (findOptions[mask] !== undefined) {
+        const { image } = await readInput(findOptions[mask]);
+        if (image === undefined) {
+          throw new UsageError("Masks must be images.");
+        }
+        findOptions[mask] = image;
+      }
+    }
+
+    const [source, target] = await Promise.all(positionals.map(readInput));
+    if (values.output && (source.points || target.points)) {
+      throw new UsageError("--output needs a source and a target image.");
+    }
+    const resampleOptions = { fillValue, interpolation, conserveFlux };
+
+    let result;
+    let encoded;
+    try {
+      result = findTransform(
+        source.image ?? source.points,
+        target.image ?? target.points,
+        findOptions
+      );
+      if (values.output) {
+        const [aligned] = applyTransform(
+          result.transform,
+          source.image,
+          target.image,
+          { ...resampleOptions, mask: findOptions.sourceMask ?? null }
+        );
+        encoded = encodeImage(aligned, source, target, result, values.output);
+      }
+    } catch (error) {
+      // Invalid inputs, option values and header keywords of the output
+      if (
+        error instanceof InvalidInputError ||
+        error instanceof TypeError ||
+        error instanceof RangeError
+      ) {
+        throw new UsageError(error.message);
+      }
+      throw error;
+    }
+
+    if (values.output) {
+      await writeOutput(values.output, encoded, stdout);
+    }
+    if (values.transform || !(values.output || values.matches)) {
+      await writeOutput(values.transform ?? "-", transformJson(result), stdout);
+    }
+    if (values.matches) {
+      const format =
+        extname(values.matches).toLowerCase() === ".json" ? "json" : "csv";
+      await writeOutput(values.matches, matchesText(result, format), stdout);
+    }
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`astroalign: ${error.message}\n`);
+      stderr.write("Try 'astroalign --help' for more information.\n");
+      return 2;
+    }
+    if (error instanceof AstroalignError) {
+      stderr.write(`astroalign: ${error.message}\n`);
+      return 1;
+    }
+    throw error;
+  }
+}
+
+export { main };
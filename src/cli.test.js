@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import ndarray from "ndarray";
+import { data } from "./image.js";
+import { main } from "./cli.js";
+import { readFits, transformFromHeader, writeFits } from "./fits.js";
+import { readPng, writePng } from "./png.js";
+import { seededRandom, makeStarImage, makeStarFields } from "./test-utils.js";
+
+/**
+ * Return a stream that collects what is written to it.
+ */
+function collector() {
+  return {
+    text: "",
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+/**
+ * Run the command line tool and return its exit status and output.
+ */
+async function run(...argv) {
+  const stdout = collector();
+  const stderr = collector();
+  const status = await main(argv, { stdout, stderr });
+  return { status, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("astroalign command", () => {
+  const random = seededRandom(5);
+  const [stars, shifted] = makeStarFields(
+    80,
+    60,
+    ([x, y]) => [x + 5, y + 3],
+    random,
+    12
+  );
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "astroalign-"));
+    await writeFile(
+      join(dir, "source.csv"),
+      "x,y\n" + stars.map(([x, y]) => `${x},${y}`).join("\n")
+    );
+    await writeFile(
+      join(dir, "target.json"),
+      JSON.stringify(shifted.map(([x, y]) => ({ x, y })))
+    );
+    for (const [name, list] of [
+      ["source", stars],
+      ["target", shifted],
+    ]) {
+      const image = data(makeStarImage(80, 60, list, random));
+      await writeFile(join(dir, `${name}.fits`), writeFits(image));
+      await writeFile(
+        join(dir, `${name}.png`),
+        writePng({ data: image.data, width: 80, height: 60 })
+      );
+    }
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true });
+  });
+
+  it("prints the transform between two star lists", async () => {
+    const { status, stdout } = await run(
+      join(dir, "source.csv"),
+      join(dir, "target.json"),
+      "--seed",
+      "1"
+    );
+
+    expect(status).toBe(0);
+    const transform = JSON.parse(stdout);
+    expect(transform.model).toBe("similarity");
+    expect(transform.translation[0]).toBeCloseTo(5, 6);
+    expect(transform.translation[1]).toBeCloseTo(3, 6);
+    expect(transform.parity).toBe(1);
+    expect(transform.nInliers).toBe(12);
+  });
+
+  it("restricts the parity of the transform", async () => {
+    const args = [join(dir, "source.csv"), join(dir, "target.json")];
+    expect((await run(...args, "--parity", "1")).status).toBe(0);
+    expect((await run(...args, "--parity=-1")).status).toBe(1);
+  });
+
+  it("writes the aligned FITS image, the transform and the matches", async () => {
+    const output = join(dir, "aligned.fits");
+    const { status, stdout } = await run(
+      join(dir, "source.fits"),
+      join(dir, "target.fits"),
+      "-o",
+      output,
+      "-t",
+      join(dir, "transform.json"),
+      "-m",
+      join(dir, "matches.csv"),
+      "--interpolation",
+      "bicubic"
+    );
+
+    expect(status).toBe(0);
+    expect(stdout).toBe("");
+    const { image, header } = readFits(await readFile(output));
+    expect(image.shape).toEqual([60, 80]);
+    expect(transformFromHeader(header).translation[0]).toBeCloseTo(5, 1);
+    const [sx, sy, amp] = shifted[0];
+    expect(image.get(Math.round(sy), Math.round(sx))).toBeGreaterThan(
+      0.5 * amp
+    );
+
+    const transform = JSON.parse(
+      await readFile(join(dir, "transform.json"), "utf8")
+    );
+    expect(transform.translation[1]).toBeCloseTo(3, 1);
+    const lines = (await readFile(join(dir, "matches.csv"), "utf8"))
+      .trim()
+      .split("\n");
+    expect(lines[0]).toBe("source_x,source_y,target_x,target_y,residual");
+    expect(lines.length - 1).toBe(transform.nInliers);
+  });
+
+  it("aligns PNG images", async () => {
+    const output = join(dir, "aligned.png");
+    const { status } = await run(
+      join(dir, "source.png"),
+      join(dir, "target.png"),
+      "--output",
+      output
+    );
+
+    expect(status).toBe(0);
+    const png = readPng(await readFile(output));
+    expect([png.width, png.height]).toEqual([80, 60]);
+  });
+
+  it("exits with status 2 on invalid arguments", async () => {
+    const source = join(dir, "source.csv");
+    const target = join(dir, "target.json");
+    for (const argv of [
+      [source],
+      [source, target, "--unknown"],
+      [source, target, "--pixel-tol", "abc"],
+      [source, target, "--pixel-tol", "-1"],
+      [source, target, "--parity", "mirrored"],
+      [source, target, "--centroid", "psf"],
+      [source, target, "--output", join(dir, "out.png")],
+      [source, join(dir, "missing.csv")],
+    ]) {
+      const { status, stderr } = await run(...argv);
+      expect(status).toBe(2);
+      expect(stderr).toMatch(/^astroalign: /);
+    }
+  });
+
+  it("exits with status 2 on invalid files", async () => {
+    const small = ndarray(new Float64Array(10 * 10), [10, 10]);
+    await writeFile(join(dir, "small.fits"), writeFits(small));
+    // A header keyword that readFits accepts but writeFits cannot write
+    const bytes = writeFits(data(makeStarImage(80, 60, shifted, random)), {
+      header: { OBSERVER: "me" },
+    });
+    const card = Buffer.from(bytes).indexOf("OBSERVER");
+    bytes.set(new TextEncoder().encode("observer"), card);
+    await writeFile(join(dir, "lowercase.fits"), bytes);
+
+    for (const argv of [
+      [
+        join(dir, "source.fits"),
+        join(dir, "target.fits"),
+        "--source-mask",
+        join(dir, "small.fits"),
+      ],
+      [
+        join(dir, "source.fits"),
+        join(dir, "lowercase.fits"),
+        "--output",
+        join(dir, "out.fits"),
+      ],
+    ]) {
+      const { status, stderr } = await run(...argv);
+      expect(status).toBe(2);
+      expect(stderr).toMatch(/^astroalign: /);
+    }
+  });
+
+  it("reads the x and y of CSV and JSON stars alike", async () => {
+    await writeFile(
+      join(dir, "weighted.csv"),
+      stars.map(([x, y, amp]) => `${x},${y},${amp}`).join("\n")
+    );
+    await writeFile(join(dir, "weighted.json"), JSON.stringify(stars));
+    const target = join(dir, "target.json");
+    const csv = await run(join(dir, "weighted.csv"), target, "--seed", "1");
+    const json = await run(join(dir, "weighted.json"), target, "--seed", "1");
+    expect(csv.status).toBe(0);
+    expect(json.stdout).toBe(csv.stdout);
+  });
+
+  it("exits with status 2 on stars without finite x and y", async () => {
+    for (const [name, list] of [
+      ["nox.json", stars.map(([x]) => ({ x }))],
+      ["nan.json", stars.map(([x]) => [x, "a"])],
+      ["null.json", [null, ...stars]],
+    ]) {
+      await writeFile(join(dir, name), JSON.stringify(list));
+      const { status, stderr } = await run(
+        join(dir, name),
+        join(dir, "target.json")
+      );
+      expect(status).toBe(2);
+      expect(stderr).toMatch(/Invalid JSON star 0/);
+    }
+  });
+
+  it("exits with status 2 when an output cannot be written", async () => {
+    const unwritable = join(dir, "missing", "out");
+    for (const flag of ["-t", "-m"]) {
+      const { status, stderr } = await run(
+        join(dir, "source.csv"),
+        join(dir, "target.json"),
+        flag,
+        `${unwritable}.json`
+      );
+      expect(status).toBe(2);
+      expect(stderr).toMatch(/^astroalign: Cannot write /);
+    }
+    const { status } = await run(
+      join(dir, "source.fits"),
+      join(dir, "target.fits"),
+      "-o",
+      `${unwritable}.fits`
+    );
+    expect(status).toBe(2);
+  });
+
+  it("exits with status 1 when the alignment fails", async () => {
+    await writeFile(join(dir, "few.csv"), "1,2\n3,4\n");
+    const { status, stderr } = await run(
+      join(dir, "few.csv"),
+      join(dir, "target.json")
+    );
+    expect(status).toBe(1);
+    expect(stderr).toContain("source image");
+  });
+
+  it("prints the help", async () => {
+    const { status, stdout } = await run("--help");
+    expect(status).toBe(0);
+    expect(stdout).toContain("Usage: astroalign");
+  });
+});
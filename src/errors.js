@@ -0,0 +1,105 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/**
+ * Base class for the errors raised when an alignment fails.
+ *
+ * InvalidInputError extends TypeError instead, which invalid inputs threw
+ * before these classes existed, but is an AstroalignError too for
+ * `instanceof`.
+ */
+class AstroalignError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - The underlying error, if any
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+
+  static [Symbol.hasInstance](instance) {
+    return (
+      Function.prototype[Symbol.hasInstance].call(this, instance) ||
+      (this === AstroalignError && instance instanceof InvalidInputError)
+    );
+  }
+}
+
+/**
+ * Raised when an input image or point list cannot be read.
+ */
+class InvalidInputError extends TypeError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.image - Which input is invalid: "source" or "target"
+   * @param {Error} options.cause - The underlying error, if any
+   */
+  constructor(message, { image, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.image = image;
+  }
+}
+
+/**
+ * Raised when an image has too few sources (control points) to be aligned.
+ */
+class TooFewSourcesError extends AstroalignError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.image - Which image has too few sources: "source" or "target"
+   * @param {number} options.found - Number of sources found
+   * @param {number} options.required - Minimum number of sources required
+   */
+  constructor(message, { image, found, required } = {}) {
+    super(message);
+    this.image = image;
+    this.found = found;
+    this.required = required;
+  }
+}
+
+/**
+ * Raised when RANSAC tries all its candidate matches without finding an
+ * acceptable transformation.
+ */
+class MaxIterError extends AstroalignError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {number} options.nTried - Number of candidates tried
+   * @param {number} options.nMatches - Number of candidate matches
+   * @param {number} options.minMatches - Number of agreeing matches required to accept a transformation
+   */
+  constructor(message, { nTried, nMatches, minMatches } = {}) {
+    super(message);
+    this.nTried = nTried;
+    this.nMatches = nMatches;
+    this.minMatches = minMatches;
+  }
+}
+
+export { AstroalignError, InvalidInputError, TooFewSourcesError, MaxIterError };
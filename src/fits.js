@@ -0,0 +1,548 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import ndarray from "ndarray";
+import { data } from "./image.js";
+import { toTransform, transformClass } from "./transform.js";
+
+const BLOCK_SIZE = 2880;
+const CARD_SIZE = 80;
+
+/**
+ * Keywords that describe the layout of the data, which writeFits sets
+ * itself and never copies from the user header.
+ */
+const STRUCTURAL_KEYWORDS =
+  /^(SIMPLE|XTENSION|BITPIX|NAXIS\d*|EXTEND|PCOUNT|GCOUNT|BZERO|BSCALE|BLANK|END)$/;
+
+/**
+ * Keywords that record the transform, see transformFromHeader.
+ */
+const TRANSFORM_KEYWORD = /^(AAMODEL|AA[1-3]_[1-3])$/;
+
+/**
+ * Readers and writers of the big-endian values for each BITPIX.
+ */
+const PIXEL_TYPES = {
+  8: {
+    get: (view, pos) => view.getUint8(pos),
+    set: (view, pos, value) => view.setUint8(pos, value),
+    range: [0, 255],
+    blank: null,
+  },
+  16: {
+    get: (view, pos) => view.getInt16(pos),
+    set: (view, pos, value) => view.setInt16(pos, value),
+    range: [-32768, 32767],
+    blank: -32768,
+  },
+  32: {
+    get: (view, pos) => view.getInt32(pos),
+    set: (view, pos, value) => view.setInt32(pos, value),
+    range: [-2147483648, 2147483647],
+    blank: -2147483648,
+  },
+  "-32": {
+    get: (view, pos) => view.getFloat32(pos),
+    set: (view, pos, value) => view.setFloat32(pos, value),
+    range: null,
+    blank: null,
+  },
+  "-64": {
+    get: (view, pos) => view.getFloat64(pos),
+    set: (view, pos, value) => view.setFloat64(pos, value),
+    range: null,
+    blank: null,
+  },
+};
+
+/**
+ * Return a DataView over the bytes of a FITS file.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - FITS file contents, a Node Buffer is also a Uint8Array
+ * @returns {DataView} View of the bytes
+ */
+function bytesView(input) {
+  if (input instanceof ArrayBuffer) {
+    return new DataView(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new DataView(input.buffer, input.byteOffset, input.byteLength);
+  }
+  throw new TypeError(
+    "FITS files must be given as an ArrayBuffer or a Uint8Array."
+  );
+}
+
+/**
+ * Parse the value field of a header card: strings, logicals, integers and
+ * floating point numbers. Other values are returned as the raw text.
+ *
+ * @param {string} field - Text of the card after "= "
+ * @returns {string|number|boolean|null} The value, or null if it is empty
+ */
+function parseValue(field) {
+  const text = field.trimStart();
+  if (text.startsWith("'")) {
+    let value = "";
+    for (let i = 1; i < text.length; i++) {
+      if (text[i] === "'") {
+        if (text[i + 1] !== "'") {
+          break;
+        }
+        i++;
+      }
+      value += text[i];
+    }
+    return value.trimEnd();
+  }
+  const token = text.split("/")[0].trim();
+  if (token === "") {
+    return null;
+  }
+  if (token === "T" || token === "F") {
+    return token === "T";
+  }
+  const number = Number(token.replace(/D/i, "E"));
+  return Number.isNaN(number) ? token : number;
+}
+
+/**
+ * Parse the header that starts at `offset`.
+ *
+ * COMMENT and HISTORY cards are collected in arrays of strings.
+ *
+ * @param {DataView} view - Bytes of the FITS file
+ * @param {number} offset - Offset of the first header block
+ * @returns {[Object, number]} Array containing [header, offset of the data]
+ * @throws {TypeError} If the header has no END card
+ */
+function parseHeader(view, offset) {
+  const header = {};
+  for (let pos = offset; pos + CARD_SIZE <= view.byteLength; pos += CARD_SIZE) {
+    let card = "";
+    for (let i = 0; i < CARD_SIZE; i++) {
+      card += String.fromCharCode(view.getUint8(pos + i));
+    }
+    const keyword = card.slice(0, 8).trim();
+    if (keyword === "END") {
+      const end = pos + CARD_SIZE;
+      return [header, Math.ceil(end / BLOCK_SIZE) * BLOCK_SIZE];
+    }
+    if (card.slice(8, 10) === "= ") {
+      header[keyword] = parseValue(card.slice(10));
+    } else if (keyword === "COMMENT" || keyword === "HISTORY") {
+      (header[keyword] ??= []).push(card.slice(8).trimEnd());
+    }
+  }
+  throw new TypeError("Invalid FITS file: header without END card.");
+}
+
+/**
+ * Return the dimensions (NAXIS1, NAXIS2, ...) of an HDU.
+ *
+ * @param {Object} header - Header of the HDU
+ * @returns {number[]} Length of each axis
+ */
+function axes(header) {
+  return Array.from(
+    { length: header.NAXIS ?? 0 },
+    (_, i) => header[`NAXIS${i + 1}`]
+  );
+}
+
+/**
+ * Split a FITS file into its header and data units (HDUs).
+ *
+ * @param {DataView} view - Bytes of the FITS file
+ * @returns {Object[]} For each HDU, its `header` and the `offset` of its data
+ * @throws {TypeError} If the file is not a FITS file
+ */
+function parseHDUs(view) {
+  const hdus = [];
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= view.byteLength) {
+    const [header, dataOffset] = parseHeader(view, offset);
+    if (hdus.length === 0 && header.SIMPLE !== true) {
+      throw new TypeError(
+        "Invalid FITS file: it does not start with SIMPLE = T."
+      );
+    }
+    if (!PIXEL_TYPES[header.BITPIX]) {
+      throw new TypeError(
+        `Invalid FITS file: unsupported BITPIX ${header.BITPIX}.`
+      );
+    }
+    hdus.push({ header, offset: dataOffset });
+
+    const dims = axes(header);
+    const size =
+      dims.length === 0
+        ? 0
+        : (Math.abs(header.BITPIX) / 8) *
+          (header.GCOUNT ?? 1) *
+          ((header.PCOUNT ?? 0) + dims.reduce((a, b) => a * b, 1));
+    offset = dataOffset + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+  return hdus;
+}
+
+/**
+ * Return true if an HDU holds a 2D or 3D image.
+ *
+ * @param {Object} header - Header of the HDU
+ * @returns {boolean} Whether the HDU is an image
+ */
+function isImageHDU(header) {
+  const isImage = header.XTENSION === undefined || header.XTENSION === "IMAGE";
+  return isImage && (header.NAXIS === 2 || header.NAXIS === 3);
+}
+
+/**
+ * Read an image from a FITS file.
+ *
+ * Reads the primary HDU or an IMAGE extension with BITPIX 8, 16, 32, -32 or
+ * -64, and applies BZERO and BSCALE to get the physical values. Integer
+ * pixels equal to BLANK are read as NaN.
+ *
+ * The image is a float64 ndarray of shape (NAXIS2, NAXIS1), or (NAXIS2,
+ * NAXIS1, NAXIS3) for 3D data, so it can be passed to findTransform and
+ * register. Row y and column x of the array hold the FITS pixel (x + 1,
+ * y + 1): the first row of the array is the bottom row of the FITS image.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - FITS file contents, a Node Buffer is also a Uint8Array
+ * @param {Object} options - Options object
+ * @param {number|string} options.hdu - Index of the HDU (0 is the primary HDU) or its EXTNAME. Defaults to the first HDU with a 2D or 3D image
+ * @returns {Object} `{image, header}` with the image ndarray and the header keywords of the HDU
+ * @throws {TypeError} If the input is not a FITS file or the HDU is not a 2D or 3D image
+ */
+function readFits(input, { hdu } = {}) {
+  const view = bytesView(input);
+  const hdus = parseHDUs(view);
+
+  let index;
+  if (hdu === undefined) {
+    index = hdus.findIndex(({ header }) => isImageHDU(header));
+  } else if (typeof hdu === "string") {
+    index = hdus.findIndex(({ header }) => header.EXTNAME === hdu);
+  } else {
+    index = Number.isInteger(hdu) && hdu < hdus.length ? hdu : -1;
+  }
+  if (index === -1) {
+    throw new TypeError(
+      hdu === undefined
+        ? "The FITS file has no 2D or 3D image."
+        : `The FITS file has no HDU ${String(hdu)}.`
+    );
+  }
+  const { header, offset } = hdus[index];
+  if (!isImageHDU(header)) {
+    throw new TypeError(`HDU ${String(hdu)} is not a 2D or 3D image.`);
+  }
+
+  const { BITPIX, BZERO = 0, BSCALE = 1, BLANK } = header;
+  const { get } = PIXEL_TYPES[BITPIX];
+  const bytes = Math.abs(BITPIX) / 8;
+  const dims = axes(header);
+  const size = dims.reduce((a, b) => a * b, 1);
+  if (offset + size * bytes > view.byteLength) {
+    throw new TypeError("Invalid FITS file: the data is truncated.");
+  }
+  const pixels = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const raw = get(view, offset + i * bytes);
+    pixels[i] = BITPIX > 0 && raw === BLANK ? NaN : BZERO + BSCALE * raw;
+  }
+
+  // FITS data is stored with NAXIS1 varying fastest
+  const image =
+    dims.length === 2
+      ? ndarray(pixels, [dims[1], dims[0]])
+      : ndarray(pixels, [dims[2], dims[1], dims[0]]).transpose(1, 2, 0);
+  return { image, header };
+}
+
+/**
+ * Format a header card.
+ *
+ * @param {string} keyword - Keyword, up to 8 characters
+ * @param {string|number|boolean} value - Value of the keyword
+ * @param {string} comment - Comment, may be empty
+ * @returns {string} The 80 character card
+ * @throws {TypeError} If the keyword or the value cannot be written
+ */
+function formatCard(keyword, value, comment = "") {
+  if (!/^[A-Z0-9_-]{1,8}$/.test(keyword)) {
+    throw new TypeError(`Invalid FITS keyword "${keyword}".`);
+  }
+  let field;
+  if (typeof value === "string") {
+    field = `'${value.replaceAll("'", "''").padEnd(8)}'`.padEnd(20);
+  } else if (typeof value === "boolean") {
+    field = (value ? "T" : "F").padStart(20);
+  } else if (typeof value === "number" && Number.isFinite(value)) {
+    field = String(value).toUpperCase().padStart(20);
+  } else {
+    throw new TypeError(
+      `Invalid value for FITS keyword "${keyword}": ${String(value)}.`
+    );
+  }
+  const card = `${keyword.padEnd(8)}= ${field}`;
+  if (card.length > CARD_SIZE) {
+    throw new TypeError(`The value of FITS keyword "${keyword}" is too long.`);
+  }
+  // Comments are cut at the end of the card
+  const full = comment ? `${card} / ${comment}` : card;
+  return full.slice(0, CARD_SIZE).padEnd(CARD_SIZE);
+}
+
+/**
+ * Return the header cards that record a transform, see transformFromHeader.
+ *
+ * @param {Transform|Object} transform - A Transform or a nudged transform
+ * @returns {string[]} Header cards
+ * @throws {TypeError} If the transform is not given by a matrix
+ */
+function transformCards(transform) {
+  const t = toTransform(transform);
+  if (t.model === "polynomial") {
+    throw new TypeError(
+      "Polynomial transforms cannot be recorded in FITS headers."
+    );
+  }
+  const cards = [formatCard("AAMODEL", t.model, "Astroalign transform model")];
+  t.matrix.forEach((row, i) =>
+    row.forEach((value, j) =>
+      cards.push(
+        formatCard(`AA${i + 1}_${j + 1}`, value, "Astroalign transform matrix")
+      )
+    )
+  );
+  return cards;
+}
+
+/**
+ * Return the transform recorded in a header by writeFits.
+ *
+ * @param {Object} header - Header keywords, as returned by readFits
+ * @returns {Transform|null} The transform, or null if the header has none
+ * @throws {TypeError} If the model is unknown or a matrix keyword is missing or not a number
+ */
+function transformFromHeader(header) {
+  if (header.AAMODEL === undefined) {
+    return null;
+  }
+  const TransformClass = transformClass(header.AAMODEL);
+  const matrix = [1, 2, 3].map((i) =>
+    [1, 2, 3].map((j) => {
+      const value = header[`AA${i}_${j}`];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new TypeError(
+          `Invalid FITS transform: keyword "AA${i}_${j}" must be a number, ` +
+            `got ${String(value)}.`
+        );
+      }
+      return value;
+    })
+  );
+  return new TransformClass(matrix);
+}
+
+/**
+ * Return how the pixels of an image are stored as integers: the BZERO and
+ * BSCALE of the stored values, and the BLANK value of the NaN pixels.
+ *
+ * BZERO and BSCALE are taken from the header if it has them, e.g. the
+ * header of an unsigned 16-bit image read with readFits. Otherwise, images
+ * of non-negative values that exceed the range of a signed BITPIX 16 or 32
+ * are stored as unsigned integers, with the offset of the FITS standard.
+ * BLANK is the lowest value of the type, or the highest if the lowest is
+ * taken by a pixel.
+ *
+ * @param {Object} pixels - Image ndarray
+ * @param {number} bitpix - Integer BITPIX of the data
+ * @param {Object} header - Extra header keywords given to writeFits
+ * @returns {Object} `{bzero, bscale, blank}`, blank is null if no pixel is NaN
+ * @throws {TypeError} If BZERO or BSCALE in the header are not valid numbers
+ */
+function integerScaling(pixels, bitpix, header) {
+  let min = Infinity;
+  let max = -Infinity;
+  let hasNaN = false;
+  // Read through get(), the pixels of views are not all of their data
+  const [height, width, channels = 1] = pixels.shape;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) {
+        const value =
+          pixels.shape.length === 3 ? pixels.get(y, x, c) : pixels.get(y, x);
+        if (Number.isNaN(value)) {
+          hasNaN = true;
+        } else {
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        }
+      }
+    }
+  }
+  const [low, high] = PIXEL_TYPES[bitpix].range;
+  let bzero = 0;
+  let bscale = 1;
+  if (header.BZERO !== undefined || header.BSCALE !== undefined) {
+    ({ BZERO: bzero = 0, BSCALE: bscale = 1 } = header);
+    if (!Number.isFinite(bzero) || !Number.isFinite(bscale) || bscale === 0) {
+      throw new TypeError(
+        "Header keywords BZERO and BSCALE must be numbers, and BSCALE not 0."
+      );
+    }
+  } else if (bitpix !== 8 && min >= 0 && max > high) {
+    bzero = -low;
+  }
+  let blank = null;
+  if (hasNaN && PIXEL_TYPES[bitpix].blank !== null) {
+    const stored = [min, max].map((v) => Math.round((v - bzero) / bscale));
+    blank =
+      Math.min(...stored) > low || Math.max(...stored) >= high ? low : high;
+  }
+  return { bzero, bscale, blank };
+}
+
+/**
+ * Write an image as a FITS file.
+ *
+ * The image is written in the primary HDU, with the pixel layout described
+ * in readFits. For integer BITPIX, the values are stored as
+ * (value - BZERO) / BSCALE, with BZERO and BSCALE from the header if it has
+ * them (so the header of readFits writes the data back as it was read), or
+ * with the unsigned offset of the FITS standard (BZERO = 32768 for BITPIX
+ * 16) for non-negative images that exceed the signed range. The stored
+ * values are rounded and clamped to the range of the type. NaN pixels are
+ * written as BLANK for BITPIX 16 and 32, an extreme value of the type that
+ * no other pixel takes, and as 0 for BITPIX 8.
+ *
+ * If a transform is given, it is recorded in the header keywords AAMODEL
+ * (the model name) and AAi_j (the elements of its 3x3 matrix), which
+ * transformFromHeader reads back, in place of those of the header. The
+ * matrix maps pixel coordinates of the source image, starting at 0, into
+ * pixels of the written image. Without a transform, the AAMODEL and AAi_j
+ * keywords of the header are written as they are.
+ *
+ * @param {number[][]|Object} image - Image, in any of the formats accepted by findTransform
+ * @param {Object} options - Options object
+ * @param {number} options.bitpix - BITPIX of the data: 8, 16, 32, -32 (default) or -64
+ * @param {Object} options.header - Extra header keywords; arrays of strings for COMMENT and HISTORY. Structural keywords (BITPIX, NAXISn, BLANK...) are ignored, and BZERO and BSCALE only scale integer data, so the header of readFits can be passed back
+ * @param {Transform|Object} options.transform - Transform to record in the header, e.g. `result.transform` of findTransform
+ * @returns {Uint8Array} The FITS file contents
+ * @throws {TypeError} If the BITPIX, a keyword, a value or the transform cannot be written
+ */
+function writeFits(
+  image,
+  { bitpix = -32, header = {}, transform = null } = {}
+) {
+  const type = PIXEL_TYPES[bitpix];
+  if (!type) {
+    throw new TypeError(
+      `Option "bitpix" must be one of 8, 16, 32, -32, -64, got ${String(bitpix)}.`
+    );
+  }
+  const pixels = data(image);
+  const [height, width] = pixels.shape;
+  const channels = pixels.shape.length === 3 ? pixels.shape[2] : 1;
+
+  const cards = [
+    formatCard("SIMPLE", true, "Conforms to the FITS standard"),
+    formatCard("BITPIX", bitpix),
+    formatCard("NAXIS", channels > 1 ? 3 : 2),
+    formatCard("NAXIS1", width),
+    formatCard("NAXIS2", height),
+  ];
+  if (channels > 1) {
+    cards.push(formatCard("NAXIS3", channels));
+  }
+  const { bzero, bscale, blank } = type.range
+    ? integerScaling(pixels, bitpix, header)
+    : { bzero: 0, bscale: 1, blank: null };
+  if (bzero !== 0 || bscale !== 1) {
+    cards.push(formatCard("BZERO", bzero), formatCard("BSCALE", bscale));
+  }
+  if (blank !== null) {
+    cards.push(formatCard("BLANK", blank));
+  }
+  if (transform !== null) {
+    cards.push(...transformCards(transform));
+  }
+  for (const [keyword, value] of Object.entries(header)) {
+    if (
+      STRUCTURAL_KEYWORDS.test(keyword) ||
+      (transform !== null && TRANSFORM_KEYWORD.test(keyword))
+    ) {
+      continue;
+    }
+    if (keyword === "COMMENT" || keyword === "HISTORY") {
+      for (const text of [].concat(value)) {
+        cards.push(
+          `${keyword.padEnd(8)}${text}`.slice(0, CARD_SIZE).padEnd(CARD_SIZE)
+        );
+      }
+    } else if (value !== null && value !== undefined) {
+      cards.push(formatCard(keyword, value));
+    }
+  }
+  cards.push("END".padEnd(CARD_SIZE));
+
+  const headerSize =
+    Math.ceil((cards.length * CARD_SIZE) / BLOCK_SIZE) * BLOCK_SIZE;
+  const bytes = Math.abs(bitpix) / 8;
+  const dataSize = width * height * channels * bytes;
+  const output = new Uint8Array(
+    headerSize + Math.ceil(dataSize / BLOCK_SIZE) * BLOCK_SIZE
+  );
+  const text = cards.join("").padEnd(headerSize);
+  for (let i = 0; i < headerSize; i++) {
+    output[i] = text.charCodeAt(i);
+  }
+
+  const view = new DataView(output.buffer);
+  // No pixel is stored as BLANK but the NaN ones
+  const [low, high] = type.range ?? [];
+  const min = blank === low ? low + 1 : low;
+  const max = blank === high ? high - 1 : high;
+  let pos = headerSize;
+  for (let c = 0; c < channels; c++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = channels > 1 ? pixels.get(y, x, c) : pixels.get(y, x);
+        if (type.range) {
+          const stored = Math.round((value - bzero) / bscale);
+          value = Number.isNaN(value)
+            ? (blank ?? 0)
+            : Math.min(max, Math.max(min, stored));
+        }
+        type.set(view, pos, value);
+        pos += bytes;
+      }
+    }
+  }
+  return output;
+}
+
+export { readFits, writeFits, transformFromHeader };
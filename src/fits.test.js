@@ -0,0 +1,267 @@
+import { describe, it, expect } from "vitest";
+import ndarray from "ndarray";
+import { readFits, writeFits, transformFromHeader } from "./fits.js";
+import { PolynomialTransform, SimilarityTransform } from "./transform.js";
+
+/**
+ * Build a FITS HDU from header cards and big-endian data bytes, padding
+ * both to whole 2880-byte blocks.
+ */
+function makeHDU(cards, dataBytes = new Uint8Array(0)) {
+  const text = [...cards, "END"].map((card) => card.padEnd(80)).join("");
+  const headerSize = Math.ceil(text.length / 2880) * 2880;
+  const dataSize = Math.ceil(dataBytes.length / 2880) * 2880;
+  const hdu = new Uint8Array(headerSize + dataSize);
+  for (let i = 0; i < headerSize; i++) {
+    hdu[i] = i < text.length ? text.charCodeAt(i) : 32;
+  }
+  hdu.set(dataBytes, headerSize);
+  return hdu;
+}
+
+/**
+ * Concatenate HDUs into a FITS file.
+ */
+function concat(...hdus) {
+  const file = new Uint8Array(hdus.reduce((sum, h) => sum + h.length, 0));
+  let offset = 0;
+  for (const hdu of hdus) {
+    file.set(hdu, offset);
+    offset += hdu.length;
+  }
+  return file;
+}
+
+describe("readFits", () => {
+  it("applies BZERO, BSCALE and BLANK to integer data", () => {
+    // 3x2 image of unsigned 16-bit values stored with BZERO = 32768
+    const raw = [-32768, -32767, 0, 32767, -1, -32000];
+    const bytes = new Uint8Array(raw.length * 2);
+    const view = new DataView(bytes.buffer);
+    raw.forEach((v, i) => view.setInt16(2 * i, v));
+    const file = makeHDU(
+      [
+        "SIMPLE  =                    T",
+        "BITPIX  =                   16",
+        "NAXIS   =                    2",
+        "NAXIS1  =                    3",
+        "NAXIS2  =                    2",
+        "BZERO   =              32768.0",
+        "BSCALE  =                  1.0",
+        "BLANK   =               -32000",
+        "OBJECT  = 'M 31 ''core'''     / Target name",
+        "EXPTIME =              1.2D+02 / Exposure time",
+        "COMMENT A comment",
+      ],
+      bytes
+    );
+
+    const { image, header } = readFits(file.buffer);
+
+    expect(image.shape).toEqual([2, 3]);
+    expect([image.get(0, 0), image.get(0, 1), image.get(0, 2)]).toEqual([
+      0, 1, 32768,
+    ]);
+    expect([image.get(1, 0), image.get(1, 1)]).toEqual([65535, 32767]);
+    expect(image.get(1, 2)).toBeNaN();
+    expect(header.OBJECT).toBe("M 31 'core'");
+    expect(header.EXPTIME).toBe(120);
+    expect(header.COMMENT).toEqual(["A comment"]);
+  });
+
+  it("reads image extensions by index or EXTNAME from a Buffer", () => {
+    const primary = makeHDU([
+      "SIMPLE  =                    T",
+      "BITPIX  =                    8",
+      "NAXIS   =                    0",
+      "EXTEND  =                    T",
+    ]);
+    const table = makeHDU(
+      [
+        "XTENSION= 'BINTABLE'",
+        "BITPIX  =                    8",
+        "NAXIS   =                    2",
+        "NAXIS1  =                    4",
+        "NAXIS2  =                    1",
+        "PCOUNT  =                    0",
+        "GCOUNT  =                    1",
+      ],
+      new Uint8Array(4)
+    );
+    const bytes = new Uint8Array(2 * 2 * 4);
+    const view = new DataView(bytes.buffer);
+    [1.5, -2.25, 3, 4].forEach((v, i) => view.setFloat32(4 * i, v));
+    const extension = makeHDU(
+      [
+        "XTENSION= 'IMAGE   '",
+        "BITPIX  =                  -32",
+        "NAXIS   =                    2",
+        "NAXIS1  =                    2",
+        "NAXIS2  =                    2",
+        "PCOUNT  =                    0",
+        "GCOUNT  =                    1",
+        "EXTNAME = 'SCI     '",
+      ],
+      bytes
+    );
+    const file = Buffer.from(concat(primary, table, extension));
+
+    for (const hdu of [undefined, 2, "SCI"]) {
+      const { image, header } = readFits(file, { hdu });
+      expect(header.EXTNAME).toBe("SCI");
+      expect(Array.from(image.data)).toEqual([1.5, -2.25, 3, 4]);
+    }
+    expect(() => readFits(file, { hdu: 1 })).toThrow(TypeError);
+    expect(() => readFits(file, { hdu: "ERR" })).toThrow(TypeError);
+  });
+
+  it("rejects files that are not FITS", () => {
+    expect(() => readFits(new Uint8Array(2880))).toThrow(TypeError);
+    expect(() => readFits("SIMPLE")).toThrow(TypeError);
+  });
+});
+
+describe("writeFits", () => {
+  const image = ndarray(
+    Float64Array.from({ length: 12 }, (_, i) => i * 10.25 - 20),
+    [3, 4]
+  );
+
+  it("round trips images for every BITPIX", () => {
+    for (const bitpix of [8, 16, 32, -32, -64]) {
+      const { image: read, header } = readFits(writeFits(image, { bitpix }));
+      expect(header.BITPIX).toBe(bitpix);
+      expect(read.shape).toEqual([3, 4]);
+      for (let i = 0; i < 12; i++) {
+        const value = image.data[i];
+        const expected =
+          bitpix === 8
+            ? Math.max(0, Math.round(value))
+            : bitpix > 0
+              ? Math.round(value)
+              : value;
+        expect(read.data[i]).toBeCloseTo(expected, 5);
+      }
+    }
+  });
+
+  it("writes unsigned 16-bit images back without clipping them", () => {
+    const unsigned = ndarray(
+      Float64Array.from([0, 1, 32768, 65534, NaN, 7]),
+      [2, 3]
+    );
+    // With the BZERO of a header read from a file, or the unsigned offset
+    for (const header of [{ BZERO: 32768, BSCALE: 1 }, {}]) {
+      const { image: read, header: written } = readFits(
+        writeFits(unsigned, { bitpix: 16, header })
+      );
+      expect(written.BZERO).toBe(32768);
+      // 0 is stored as -32768, so NaN pixels are stored as 32767
+      expect(written.BLANK).toBe(32767);
+      expect(Array.from(read.data.subarray(0, 4))).toEqual([
+        0, 1, 32768, 65534,
+      ]);
+      expect(read.data[4]).toBeNaN();
+      expect(read.data[5]).toBe(7);
+    }
+    // Scaled data, and no BLANK without NaN pixels
+    const { image: read, header } = readFits(
+      writeFits(image, { bitpix: 16, header: { BZERO: 0, BSCALE: 0.25 } })
+    );
+    expect(header.BSCALE).toBe(0.25);
+    expect(header.BLANK).toBeUndefined();
+    expect(Array.from(read.data)).toEqual(Array.from(image.data));
+    expect(() =>
+      writeFits(image, { bitpix: 16, header: { BSCALE: 0 } })
+    ).toThrow(TypeError);
+  });
+
+  it("scales the pixels of views, not the whole data", () => {
+    // A sub-array whose data has values beyond the signed 16-bit range
+    const full = ndarray(Float64Array.from([0, 5, 60000, 1, 7, 60000]), [2, 3]);
+    const { image: read, header } = readFits(
+      writeFits(full.hi(2, 2), { bitpix: 16 })
+    );
+    expect(header.BZERO).toBeUndefined();
+    expect(Array.from(read.data)).toEqual([0, 5, 1, 7]);
+
+    // The transposed 3D view of readFits, with a NaN pixel
+    const rgb = readFits(
+      writeFits(ndarray(Float64Array.from([1, 2, 3, 4, NaN, 6]), [1, 2, 3]), {
+        bitpix: -64,
+      })
+    ).image;
+    const again = readFits(writeFits(rgb, { bitpix: 16 }));
+    expect(again.header.BLANK).toBeDefined();
+    expect(again.image.get(0, 1, 0)).toBe(4);
+    expect(again.image.get(0, 1, 1)).toBeNaN();
+  });
+
+  it("writes multi-channel images as 3D data", () => {
+    const rgb = {
+      data: Uint8ClampedArray.from({ length: 2 * 3 * 3 }, (_, i) => i),
+      width: 3,
+      height: 2,
+    };
+    const { image: read, header } = readFits(writeFits(rgb, { bitpix: 8 }));
+    expect(header.NAXIS3).toBe(3);
+    expect(read.shape).toEqual([2, 3, 3]);
+    expect(read.get(1, 2, 0)).toBe(15);
+    expect(read.get(1, 2, 2)).toBe(17);
+  });
+
+  it("records the transform and the user header keywords", () => {
+    const transform = new SimilarityTransform([
+      [0.98, -0.17, 12.5],
+      [0.17, 0.98, -3.25],
+      [0, 0, 1],
+    ]);
+    const file = writeFits(image, {
+      transform,
+      header: {
+        OBJECT: "NGC 1300",
+        BITPIX: 16,
+        HISTORY: ["Aligned with astroalign"],
+      },
+    });
+
+    const { header } = readFits(file);
+    expect(header.BITPIX).toBe(-32);
+    expect(header.OBJECT).toBe("NGC 1300");
+    expect(header.HISTORY).toEqual(["Aligned with astroalign"]);
+    const read = transformFromHeader(header);
+    expect(read).toBeInstanceOf(SimilarityTransform);
+    expect(read.matrix).toEqual(transform.matrix);
+    expect(transformFromHeader({})).toBe(null);
+
+    // Without a transform, those of the header are kept
+    const copy = readFits(writeFits(image, { header })).header;
+    expect(transformFromHeader(copy).matrix).toEqual(transform.matrix);
+    const identity = new SimilarityTransform([
+      [1, 0, 0],
+      [0, 1, 0],
+      [0, 0, 1],
+    ]);
+    const replaced = readFits(
+      writeFits(image, { header, transform: identity })
+    ).header;
+    expect(transformFromHeader(replaced).matrix).toEqual(identity.matrix);
+    const { AA2_3, ...incomplete } = header;
+    expect(() => transformFromHeader(incomplete)).toThrow(
+      'Invalid FITS transform: keyword "AA2_3" must be a number, got undefined.'
+    );
+  });
+
+  it("rejects invalid keywords and values", () => {
+    expect(() => writeFits(image, { bitpix: 64 })).toThrow(TypeError);
+    expect(() => writeFits(image, { header: { lower: 1 } })).toThrow(TypeError);
+    expect(() => writeFits(image, { header: { GAIN: NaN } })).toThrow(
+      TypeError
+    );
+    const grid = [0, 1, 2, 3].flatMap((y) => [0, 1, 2, 3].map((x) => [x, y]));
+    const polynomial = PolynomialTransform.estimate(grid, grid, 2);
+    expect(() => writeFits(image, { transform: polynomial })).toThrow(
+      TypeError
+    );
+  });
+});
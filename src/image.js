@@ -0,0 +1,170 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import ndarray from "ndarray";
+
+/**
+ * Return true if `input` is a scijs ndarray.
+ *
+ * @param {*} input - Any value
+ * @returns {boolean} Whether input is an ndarray
+ */
+function isNdarray(input) {
+  return (
+    input !== null &&
+    typeof input === "object" &&
+    Array.isArray(input.shape) &&
+    typeof input.get === "function"
+  );
+}
+
+/**
+ * Normalize an image into an ndarray of shape (height, width) or
+ * (height, width, channels).
+ *
+ * Accepted inputs are:
+ *   - scijs ndarrays with 2 or 3 dimensions
+ *   - nested arrays, indexed as image[y][x] or image[y][x][channel]
+ *   - objects `{data, width, height}` with the pixels in row-major order
+ *     and the channels interleaved, like browser ImageData
+ *   - canvas elements, which are read through their 2D context
+ *
+ * ndarrays are returned as they are, other inputs are wrapped or copied.
+ *
+ * @param {number[][]|Object} image - Image in any of the formats above
+ * @returns {Object} ndarray view of the image
+ */
+function data(image) {
+  if (isNdarray(image)) {
+    if (image.shape.length !== 2 && image.shape.length !== 3) {
+      throw new TypeError("Image ndarrays must have 2 or 3 dimensions.");
+    }
+    return image;
+  }
+
+  if (image && typeof image.getContext === "function") {
+    // A canvas, read its RGBA pixels
+    const { width, height } = image;
+    image = image.getContext("2d").getImageData(0, 0, width, height);
+  }
+
+  if (Array.isArray(image) && Array.isArray(image[0])) {
+    const height = image.length;
+    const width = image[0].length;
+    const channels = Array.isArray(image[0][0]) ? image[0][0].length : 1;
+    const pixels = new Float64Array(width * height * channels);
+    for (let y = 0; y < height; y++) {
+      if (image[y].length !== width) {
+        throw new TypeError("Image rows must all have the same length.");
+      }
+      for (let x = 0; x < width; x++) {
+        const pos = (y * width + x) * channels;
+        if (channels === 1) {
+          pixels[pos] = image[y][x];
+        } else {
+          for (let c = 0; c < channels; c++) {
+            pixels[pos + c] = image[y][x][c];
+          }
+        }
+      }
+    }
+    const shape = channels > 1 ? [height, width, channels] : [height, width];
+    return ndarray(pixels, shape);
+  }
+
+  if (
+    image &&
+    image.data &&
+    Number.isInteger(image.width) &&
+    Number.isInteger(image.height)
+  ) {
+    const { width, height } = image;
+    const channels = image.data.length / (width * height);
+    if (!Number.isInteger(channels) || channels < 1) {
+      throw new TypeError(
+        `Image data of length ${image.data.length} does not match ` +
+          `its size ${width}x${height}.`
+      );
+    }
+    const shape = channels > 1 ? [height, width, channels] : [height, width];
+    return ndarray(image.data, shape);
+  }
+
+  throw new TypeError(
+    "Images must be ndarrays, nested arrays or {data, width, height} objects."
+  );
+}
+
+/**
+ * Return a 2D grayscale version of the (height, width, channels) image.
+ *
+ * The gray value is the mean of the color channels. The last channel is
+ * taken as alpha and ignored for 2 (gray, alpha) and 4 (RGBA) channels.
+ *
+ * @param {Object} image - 2D or 3D ndarray, as returned by data()
+ * @returns {Object} 2D ndarray of shape (height, width)
+ */
+function bw(image) {
+  if (image.shape.length === 2) {
+    return image;
+  }
+  const [height, width, channels] = image.shape;
+  const nColors = channels === 2 || channels === 4 ? channels - 1 : channels;
+  const gray = ndarray(new Float64Array(width * height), [height, width]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let c = 0; c < nColors; c++) {
+        sum += image.get(y, x, c);
+      }
+      gray.set(y, x, sum / nColors);
+    }
+  }
+  return gray;
+}
+
+/**
+ * Convert the ndarray `arr` into the same image format as `input`.
+ *
+ * @param {number[][]|Object} input - Image in any of the formats accepted by data()
+ * @param {Object} arr - ndarray of shape (height, width) or (height, width, channels)
+ * @param {Function} cast - Conversion applied to values of nested arrays
+ * @returns {number[][]|Object} arr as nested arrays, ndarray or {data, width, height} object
+ */
+function like(input, arr, cast = Number) {
+  if (isNdarray(input)) {
+    return arr;
+  }
+  const [height, width, channels] = arr.shape;
+  if (Array.isArray(input)) {
+    return Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) =>
+        channels === undefined
+          ? cast(arr.get(y, x))
+          : Array.from({ length: channels }, (_, c) => cast(arr.get(y, x, c)))
+      )
+    );
+  }
+  return { data: arr.data, width, height };
+}
+
+export { isNdarray, data, bw, like };
@@ -1,7 +1,59 @@
-import { register, MatchTransform, findTransform } from "./astroalign.js";
+import {
+  DEFAULT_OPTIONS,
+  register,
+  applyTransform,
+  MatchTransform,
+  AlignmentResult,
+  Aligner,
+  findTransform,
+  findSources,
+} from "./astroalign.js";
+import { findTransformAsync } from "./async.js";
+import { stack } from "./stack.js";
+import { readFits, writeFits, transformFromHeader } from "./fits.js";
+import { sourceWcs, targetWcs } from "./wcs.js";
+import { mapCatalog, mapBox, crossMatch, fitDistortion } from "./catalog.js";
+import {
+  Transform,
+  SimilarityTransform,
+  AffineTransform,
+  ProjectiveTransform,
+  PolynomialTransform,
+} from "./transform.js";
+import {
+  AstroalignError,
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError
+} from "./errors.js";
 
 export {
+  DEFAULT_OPTIONS,
   register,
+  applyTransform,
   MatchTransform,
-  findTransform
+  AlignmentResult,
+  Aligner,
+  findTransform,
+  findTransformAsync,
+  findSources,
+  stack,
+  readFits,
+  writeFits,
+  transformFromHeader,
+  sourceWcs,
+  targetWcs,
+  mapCatalog,
+  mapBox,
+  crossMatch,
+  fitDistortion,
+  Transform,
+  SimilarityTransform,
+  AffineTransform,
+  ProjectiveTransform,
+  PolynomialTransform,
+  AstroalignError,
+  InvalidInputError,
+  TooFewSourcesError,
+  MaxIterError
 };
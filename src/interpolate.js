@@ -0,0 +1,189 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import warp from "ndarray-warp";
+
+/**
+ * Lanczos kernel of order 3.
+ * @param {number} t - Distance to the sample
+ * @returns {number} Kernel weight
+ */
+function lanczos3(t) {
+  if (t === 0) {
+    return 1;
+  }
+  if (Math.abs(t) >= 3) {
+    return 0;
+  }
+  const pt = Math.PI * t;
+  return (3 * Math.sin(pt) * Math.sin(pt / 3)) / (pt * pt);
+}
+
+/**
+ * Cubic convolution kernel of Keys (1981) with a = -0.5.
+ * @param {number} t - Distance to the sample
+ * @returns {number} Kernel weight
+ */
+function cubic(t) {
+  const at = Math.abs(t);
+  if (at <= 1) {
+    return (1.5 * at - 2.5) * at * at + 1;
+  }
+  if (at < 2) {
+    return ((-0.5 * at + 2.5) * at - 4) * at + 2;
+  }
+  return 0;
+}
+
+/**
+ * Separable interpolation kernels and the number of samples they use at
+ * each side of the interpolated point.
+ */
+const KERNELS = {
+  bicubic: { kernel: cubic, radius: 2 },
+  lanczos: { kernel: lanczos3, radius: 3 },
+};
+
+/**
+ * Names of the supported interpolation methods.
+ */
+const INTERPOLATIONS = Object.freeze([
+  "nearest",
+  "bilinear",
+  "bicubic",
+  "lanczos",
+]);
+
+/**
+ * Return the value of the 2D array at the nearest pixel of (row, col), or
+ * zero outside of the array.
+ *
+ * @param {ndarray} src - 2D array
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ * @returns {number} Interpolated value
+ */
+function sampleNearest(src, row, col) {
+  const i = Math.round(row);
+  const j = Math.round(col);
+  if (i < 0 || i >= src.shape[0] || j < 0 || j >= src.shape[1]) {
+    return 0;
+  }
+  return src.get(i, j);
+}
+
+/**
+ * Return the value of the 2D array at (row, col), interpolated with a
+ * separable kernel. Pixels outside of the array count as zero, and the
+ * weights are normalized to add up to one.
+ *
+ * @param {ndarray} src - 2D array
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ * @param {Object} kernel - Kernel function and radius, see KERNELS
+ * @param {Float64Array} weights - Scratch array of 2 * radius elements
+ * @returns {number} Interpolated value
+ */
+function sampleKernel(src, row, col, { kernel, radius }, weights) {
+  const [height, width] = src.shape;
+  const i0 = Math.floor(row) - radius + 1;
+  const j0 = Math.floor(col) - radius + 1;
+  if (
+    i0 + 2 * radius <= 0 ||
+    i0 >= height ||
+    j0 + 2 * radius <= 0 ||
+    j0 >= width
+  ) {
+    return 0;
+  }
+
+  let colNorm = 0;
+  for (let dj = 0; dj < 2 * radius; dj++) {
+    weights[dj] = kernel(col - j0 - dj);
+    colNorm += weights[dj];
+  }
+  let sum = 0;
+  let rowNorm = 0;
+  for (let di = 0; di < 2 * radius; di++) {
+    const wi = kernel(row - i0 - di);
+    rowNorm += wi;
+    const i = i0 + di;
+    if (wi === 0 || i < 0 || i >= height) {
+      continue;
+    }
+    let rowSum = 0;
+    for (let dj = 0; dj < 2 * radius; dj++) {
+      const j = j0 + dj;
+      if (j >= 0 && j < width) {
+        rowSum += weights[dj] * src.get(i, j);
+      }
+    }
+    sum += wi * rowSum;
+  }
+  return sum / (rowNorm * colNorm);
+}
+
+/**
+ * Resample the 2D array src into dest.
+ *
+ * The mapping has the signature of the ndarray-warp mappings: it receives
+ * the (row, column) index of a pixel of dest and writes into `out` the
+ * (row, column) coordinates of the corresponding point of src. Points that
+ * fall outside of src interpolate as zero.
+ *
+ * @param {ndarray} dest - 2D array to write the resampled values into
+ * @param {ndarray} src - 2D array to resample
+ * @param {Function} mapping - Function (out, idx) mapping dest into src
+ * @param {string} interpolation - One of "nearest", "bilinear", "bicubic" or "lanczos"
+ * @throws {TypeError} If the interpolation method is unknown
+ */
+function resample(dest, src, mapping, interpolation = "bilinear") {
+  if (!INTERPOLATIONS.includes(interpolation)) {
+    throw new TypeError(
+      `Unknown interpolation "${interpolation}", ` +
+        `expected one of ${INTERPOLATIONS.join(", ")}.`
+    );
+  }
+  if (interpolation === "bilinear") {
+    warp(dest, src, mapping);
+    return;
+  }
+
+  const kernel = KERNELS[interpolation];
+  const weights = kernel ? new Float64Array(2 * kernel.radius) : null;
+  const out = [0, 0];
+  const idx = [0, 0];
+  const [height, width] = dest.shape;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      idx[0] = y;
+      idx[1] = x;
+      mapping(out, idx);
+      const value = kernel
+        ? sampleKernel(src, out[0], out[1], kernel, weights)
+        : sampleNearest(src, out[0], out[1]);
+      dest.set(y, x, value);
+    }
+  }
+}
+
+export { INTERPOLATIONS, resample };
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import ndarray from "ndarray";
+import { INTERPOLATIONS, resample } from "./interpolate.js";
+
+/**
+ * Return a mapping that shifts the output by (dx, dy) pixels in the source.
+ */
+function shiftMapping(dx, dy) {
+  return (out, idx) => {
+    out[0] = idx[0] + dy;
+    out[1] = idx[1] + dx;
+  };
+}
+
+/**
+ * Return a smooth 2D test image of the given shape.
+ */
+function smoothImage(height, width) {
+  const image = ndarray(new Float64Array(width * height), [height, width]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      image.set(y, x, 50 + 10 * Math.sin(x / 4) + 5 * Math.cos(y / 3));
+    }
+  }
+  return image;
+}
+
+describe("resample", () => {
+  const height = 20;
+  const width = 24;
+  const src = smoothImage(height, width);
+
+  it("reproduces whole pixel shifts with every interpolation", () => {
+    for (const interpolation of INTERPOLATIONS) {
+      const dest = ndarray(new Float64Array(width * height), [height, width]);
+      resample(dest, src, shiftMapping(2, -1), interpolation);
+      for (let y = 1; y < height; y++) {
+        for (let x = 0; x < width - 2; x++) {
+          expect(dest.get(y, x)).toBeCloseTo(src.get(y - 1, x + 2), 10);
+        }
+      }
+      // Points outside of the source interpolate as zero
+      expect(dest.get(0, 0)).toBeCloseTo(0, 10);
+      expect(dest.get(5, width - 1)).toBeCloseTo(0, 10);
+    }
+  });
+
+  it("takes the nearest pixel with nearest interpolation", () => {
+    const dest = ndarray(new Float64Array(width * height), [height, width]);
+    resample(dest, src, shiftMapping(0.3, -0.4), "nearest");
+    expect(dest.get(5, 5)).toBe(src.get(5, 5));
+    expect(dest.get(9, 12)).toBe(src.get(9, 12));
+  });
+
+  it("interpolates smooth images better with higher order kernels", () => {
+    const errors = {};
+    for (const interpolation of INTERPOLATIONS) {
+      const dest = ndarray(new Float64Array(width * height), [height, width]);
+      resample(dest, src, shiftMapping(0.5, 0.5), interpolation);
+      let maxError = 0;
+      for (let y = 4; y < height - 4; y++) {
+        for (let x = 4; x < width - 4; x++) {
+          const expected =
+            50 + 10 * Math.sin((x + 0.5) / 4) + 5 * Math.cos((y + 0.5) / 3);
+          maxError = Math.max(maxError, Math.abs(dest.get(y, x) - expected));
+        }
+      }
+      errors[interpolation] = maxError;
+    }
+    expect(errors.bilinear).toBeLessThan(errors.nearest);
+    expect(errors.bicubic).toBeLessThan(errors.bilinear);
+    expect(errors.lanczos).toBeLessThan(errors.bilinear);
+  });
+
+  it("throws on unknown interpolations", () => {
+    const dest = ndarray(new Float64Array(width * height), [height, width]);
+    expect(() => resample(dest, src, shiftMapping(0, 0), "spline")).toThrow(
+      TypeError
+    );
+  });
+});
@@ -0,0 +1,242 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+// Minimal PNG reader and writer for the command line tool. It uses
+// node:zlib, so it is not part of the browser build.
+import { deflateSync, inflateSync } from "node:zlib";
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Number of channels of each PNG color type
+const COLOR_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+let crcTable = null;
+
+/**
+ * Return the CRC-32 of a byte array, as used in PNG chunks.
+ *
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} The CRC-32
+ */
+function crc32(bytes) {
+  if (crcTable === null) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Paeth predictor of the PNG filter type 4.
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Read a PNG image.
+ *
+ * Supports non-interlaced grayscale, gray + alpha, RGB, RGBA and 8-bit
+ * palette images, with 8 or 16 bits per sample. Palette images are
+ * expanded to RGB.
+ *
+ * @param {Uint8Array} bytes - PNG file contents, a Node Buffer is also a Uint8Array
+ * @returns {Object} `{data, width, height, bitDepth}` with the samples interleaved by channel
+ * @throws {TypeError} If the file is not a PNG or uses an unsupported format
+ */
+function readPng(bytes) {
+  if (!SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    throw new TypeError("Not a PNG file.");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= bytes.length;) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    const chunk = bytes.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(pos + 8),
+        height: view.getUint32(pos + 12),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    pos += 12 + length;
+  }
+
+  if (header === null) {
+    throw new TypeError("Invalid PNG file: no IHDR chunk.");
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = COLOR_CHANNELS[colorType];
+  const supported =
+    channels !== undefined &&
+    interlace === 0 &&
+    (colorType === 3 ? bitDepth === 8 : bitDepth === 8 || bitDepth === 16);
+  if (!supported) {
+    throw new TypeError(
+      `Unsupported PNG format: color type ${colorType}, ` +
+        `bit depth ${bitDepth}, interlace ${interlace}.`
+    );
+  }
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const bpp = (channels * bitDepth) / 8;
+  const stride = width * bpp;
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? pixels[out + i - bpp] : 0;
+      const b = y > 0 ? pixels[out + i - stride] : 0;
+      const c = i >= bpp && y > 0 ? pixels[out + i - stride - bpp] : 0;
+      const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      pixels[out + i] = (line[i] + predictor) & 0xff;
+    }
+  }
+
+  if (colorType === 3) {
+    const data = new Uint8ClampedArray(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      data.set(palette.subarray(3 * pixels[i], 3 * pixels[i] + 3), 3 * i);
+    }
+    return { data, width, height, bitDepth };
+  }
+  if (bitDepth === 16) {
+    const data = new Uint16Array(width * height * channels);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (pixels[2 * i] << 8) | pixels[2 * i + 1];
+    }
+    return { data, width, height, bitDepth };
+  }
+  return {
+    data: new Uint8ClampedArray(pixels.buffer),
+    width,
+    height,
+    bitDepth,
+  };
+}
+
+/**
+ * Write a PNG image.
+ *
+ * The number of channels (1, 2, 3 or 4) selects the color type: gray,
+ * gray + alpha, RGB or RGBA. Values are rounded and clamped to the range
+ * of the bit depth.
+ *
+ * @param {Object} image - `{data, width, height}` image with the samples interleaved by channel
+ * @param {number} bitDepth - 8 (default) or 16
+ * @returns {Uint8Array} The PNG file contents
+ * @throws {TypeError} If the image has more than 4 channels or the bit depth is not supported
+ */
+function writePng({ data, width, height }, bitDepth = 8) {
+  const channels = data.length / (width * height);
+  const colorType = [null, 0, 4, 2, 6][channels];
+  if (colorType === undefined || colorType === null) {
+    throw new TypeError(
+      `PNG images must have 1 to 4 channels, got ${channels}.`
+    );
+  }
+  if (bitDepth !== 8 && bitDepth !== 16) {
+    throw new TypeError(`PNG bit depth must be 8 or 16, got ${bitDepth}.`);
+  }
+
+  const max = 2 ** bitDepth - 1;
+  const bytes = bitDepth / 8;
+  const stride = width * channels * bytes;
+  const raw = new Uint8Array(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (None) for every line
+    for (let i = 0; i < width * channels; i++) {
+      const value = data[y * width * channels + i];
+      const sample = Number.isNaN(value)
+        ? 0
+        : Math.min(max, Math.max(0, Math.round(value)));
+      const pos = y * (stride + 1) + 1 + i * bytes;
+      if (bytes === 2) {
+        raw[pos] = sample >> 8;
+        raw[pos + 1] = sample & 0xff;
+      } else {
+        raw[pos] = sample;
+      }
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr.set([bitDepth, colorType, 0, 0, 0], 8);
+
+  const chunks = [
+    ["IHDR", ihdr],
+    ["IDAT", deflateSync(raw)],
+    ["IEND", new Uint8Array(0)],
+  ];
+  const size =
+    8 + chunks.reduce((sum, [, chunk]) => sum + 12 + chunk.length, 0);
+  const png = new Uint8Array(size);
+  const view = new DataView(png.buffer);
+  png.set(SIGNATURE);
+  let pos = 8;
+  for (const [type, chunk] of chunks) {
+    view.setUint32(pos, chunk.length);
+    const typed = new Uint8Array(4 + chunk.length);
+    typed.set([...type].map((ch) => ch.charCodeAt(0)));
+    typed.set(chunk, 4);
+    png.set(typed, pos + 4);
+    view.setUint32(pos + 8 + chunk.length, crc32(typed));
+    pos += 12 + chunk.length;
+  }
+  return png;
+}
+
+export { readPng, writePng };
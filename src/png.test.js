@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { deflateSync } from "node:zlib";
+import { readPng, writePng } from "./png.js";
+
+describe("PNG", () => {
+  it("round trips 8 and 16-bit images with 1 to 4 channels", () => {
+    for (const bitDepth of [8, 16]) {
+      for (let channels = 1; channels <= 4; channels++) {
+        const width = 5;
+        const height = 3;
+        const data = Array.from(
+          { length: width * height * channels },
+          (_, i) => (i * 37) % (bitDepth === 8 ? 256 : 65536)
+        );
+
+        const png = readPng(writePng({ data, width, height }, bitDepth));
+
+        expect(png.width).toBe(width);
+        expect(png.height).toBe(height);
+        expect(png.bitDepth).toBe(bitDepth);
+        expect(Array.from(png.data)).toEqual(data);
+      }
+    }
+  });
+
+  it("clamps and rounds the values", () => {
+    const png = readPng(
+      writePng({ data: [-5, 12.6, 300, NaN], width: 2, height: 2 })
+    );
+    expect(Array.from(png.data)).toEqual([0, 13, 255, 0]);
+  });
+
+  it("undoes the scanline filters", () => {
+    // 3x2 gray image: Sub filter on the first line, Paeth on the second
+    const file = writePng({ data: [0, 0, 0, 0, 0, 0], width: 3, height: 2 });
+    const raw = Uint8Array.from([1, 10, 5, 5, 4, 1, 1, 1]);
+    const idat = deflateSync(raw);
+    const bytes = Buffer.concat([
+      file.subarray(0, 33),
+      chunk("IDAT", idat),
+      chunk("IEND", new Uint8Array(0)),
+    ]);
+
+    const png = readPng(bytes);
+
+    // Sub: 10, 15, 20; Paeth: 11, 16, 21
+    expect(Array.from(png.data)).toEqual([10, 15, 20, 11, 16, 21]);
+  });
+
+  it("rejects files that are not PNG", () => {
+    expect(() => readPng(new Uint8Array(16))).toThrow(TypeError);
+  });
+});
+
+/**
+ * Build a PNG chunk; readPng does not check the CRC.
+ */
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  new DataView(bytes.buffer).setUint32(0, data.length);
+  bytes.set(
+    [...type].map((ch) => ch.charCodeAt(0)),
+    4
+  );
+  bytes.set(data, 8);
+  return bytes;
+}
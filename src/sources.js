@@ -0,0 +1,750 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import ndarray from "ndarray";
+import { solve } from "./transform.js";
+
+/**
+ * Centroiding methods accepted by findTransform and findSources.
+ */
+const CENTROIDS = ["moments", "windowed", "gaussian"];
+
+// Ratio between the FWHM and the standard deviation of a Gaussian
+const FWHM_FACTOR = 2 * Math.sqrt(2 * Math.log(2));
+
+// Maximum number of pixels of a tile used to estimate its background
+const MAX_TILE_SAMPLES = 2 ** 18;
+
+/**
+ * Return the median of the values in `arr`.
+ *
+ * The array is sorted in place.
+ *
+ * @param {Float64Array} arr - Array of values
+ * @returns {number} The median value
+ */
+function median(arr) {
+  arr.sort();
+  const mid = arr.length >> 1;
+  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+
+/**
+ * Estimate the background level and noise of an image.
+ *
+ * The background is the median of the pixel values and the noise is the
+ * standard deviation estimated from the median absolute deviation (MAD),
+ * which makes both estimates robust against the bright pixels of stars.
+ *
+ * The values are overwritten, so that no copy of them is needed.
+ *
+ * @param {Float64Array} values - Pixel values (overwritten)
+ * @returns {[number, number]} Array containing [background, noise]
+ */
+function backgroundStats(values) {
+  const bkg = median(values);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = Math.abs(values[i] - bkg);
+  }
+  // 1.4826 is the MAD to standard deviation ratio for a normal distribution
+  const noise = 1.4826 * median(values);
+  return [bkg, noise];
+}
+
+/**
+ * Return the interpolation of a value between the centers of the tiles
+ * along one axis: the indices of the two nearest tiles and the weight of
+ * the second one.
+ *
+ * @param {Float64Array} centers - Coordinates of the tile centers, increasing
+ * @param {number} v - Coordinate
+ * @returns {[number, number, number]} Array containing [i0, i1, weight of i1]
+ */
+function bracket(centers, v) {
+  const last = centers.length - 1;
+  if (!(v > centers[0])) {
+    return [0, 0, 0];
+  }
+  if (v >= centers[last]) {
+    return [last, last, 0];
+  }
+  // The tiles have the same size but the last one, which can be smaller
+  let i = Math.min(
+    Math.floor((v - centers[0]) / (centers[1] - centers[0])),
+    last - 1
+  );
+  if (centers[i + 1] <= v) {
+    i++;
+  }
+  return [i, i + 1, (v - centers[i]) / (centers[i + 1] - centers[i])];
+}
+
+/**
+ * Estimate the background level and noise of an image in square tiles,
+ * see backgroundStats, interpolating them bilinearly between the centers
+ * of the tiles.
+ *
+ * Tiles follow the variations of the background, such as gradients from
+ * the moon or vignetting. Without a tile size, the whole image is a single
+ * tile. Tiles without good pixels take the median of the other tiles.
+ *
+ * Only a tile of pixels is copied at a time, and the background of tiles
+ * larger than MAX_TILE_SAMPLES pixels is estimated from a regular sample of
+ * them, so that large images need no full-size copy.
+ *
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {Uint8Array|null} bad - Bad pixels (1 for bad) in row-major order, or null
+ * @param {number|null} tileSize - Width and height of the tiles in pixels, or null for a single tile
+ * @returns {Object} `{level, noise}` functions of (x, y) returning the background level and noise at a pixel
+ */
+function backgroundMap(image, bad = null, tileSize = null) {
+  const [height, width] = image.shape;
+  const tileWidth = Math.min(tileSize ?? width, width);
+  const tileHeight = Math.min(tileSize ?? height, height);
+  const nx = Math.ceil(width / tileWidth);
+  const ny = Math.ceil(height / tileHeight);
+  const levels = new Float64Array(nx * ny);
+  const noises = new Float64Array(nx * ny);
+  const step = Math.ceil((tileWidth * tileHeight) / MAX_TILE_SAMPLES);
+  const scratch = new Float64Array(Math.ceil((tileWidth * tileHeight) / step));
+  for (let ty = 0; ty < ny; ty++) {
+    for (let tx = 0; tx < nx; tx++) {
+      let n = 0;
+      let k = 0;
+      const yEnd = Math.min(height, (ty + 1) * tileHeight);
+      const xEnd = Math.min(width, (tx + 1) * tileWidth);
+      for (let y = ty * tileHeight; y < yEnd; y++) {
+        for (let x = tx * tileWidth; x < xEnd; x++) {
+          if (k++ % step === 0 && (bad === null || !bad[y * width + x])) {
+            scratch[n++] = image.get(y, x);
+          }
+        }
+      }
+      [levels[ty * nx + tx], noises[ty * nx + tx]] =
+        n > 0 ? backgroundStats(scratch.subarray(0, n)) : [NaN, NaN];
+    }
+  }
+  for (const grid of [levels, noises]) {
+    const valid = grid.filter((v) => !Number.isNaN(v));
+    const fill = valid.length > 0 ? median(valid) : NaN;
+    grid.forEach((v, i) => {
+      if (Number.isNaN(v)) {
+        grid[i] = fill;
+      }
+    });
+  }
+
+  const centers = (n, tile, size) =>
+    Float64Array.from(
+      { length: n },
+      (_, i) => (i * tile + Math.min((i + 1) * tile, size) - 1) / 2
+    );
+  const centersX = centers(nx, tileWidth, width);
+  const centersY = centers(ny, tileHeight, height);
+  const interpolate = (grid) => {
+    if (grid.length === 1) {
+      return () => grid[0];
+    }
+    return (x, y) => {
+      const [x0, x1, fx] = bracket(centersX, x);
+      const [y0, y1, fy] = bracket(centersY, y);
+      return (
+        (1 - fy) * ((1 - fx) * grid[y0 * nx + x0] + fx * grid[y0 * nx + x1]) +
+        fy * ((1 - fx) * grid[y1 * nx + x0] + fx * grid[y1 * nx + x1])
+      );
+    };
+  };
+  return { level: interpolate(levels), noise: interpolate(noises) };
+}
+
+/**
+ * Return a copy of an image binned by an integer factor: each pixel is the
+ * mean of the good pixels of a block of factor x factor pixels, and is bad
+ * if the whole block is bad. The blocks at the right and bottom edges can
+ * be smaller.
+ *
+ * The center of the binned pixel (u, v) is at (factor * u + (factor - 1) / 2,
+ * factor * v + (factor - 1) / 2) in the image.
+ *
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {number} factor - Binning factor
+ * @param {Uint8Array|null} bad - Bad pixels (1 for bad) in row-major order, or null
+ * @returns {Object} `{image, bad}` with the binned 2D ndarray and its bad pixels, or null if there are none
+ */
+function binImage(image, factor, bad = null) {
+  const [height, width] = image.shape;
+  const binnedWidth = Math.ceil(width / factor);
+  const binnedHeight = Math.ceil(height / factor);
+  const sums = new Float64Array(binnedWidth * binnedHeight);
+  const counts = new Uint32Array(binnedWidth * binnedHeight);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / factor) * binnedWidth;
+    for (let x = 0; x < width; x++) {
+      if (bad === null || !bad[y * width + x]) {
+        const pos = row + Math.floor(x / factor);
+        sums[pos] += image.get(y, x);
+        counts[pos]++;
+      }
+    }
+  }
+  let binnedBad = null;
+  for (let pos = 0; pos < sums.length; pos++) {
+    if (counts[pos] > 0) {
+      sums[pos] /= counts[pos];
+    } else {
+      binnedBad ??= new Uint8Array(sums.length);
+      binnedBad[pos] = 1;
+    }
+  }
+  return {
+    image: ndarray(sums, [binnedHeight, binnedWidth]),
+    bad: binnedBad,
+  };
+}
+
+/**
+ * Return the FWHM and ellipticity of a source from its covariance matrix.
+ *
+ * The FWHM is that of a circular Gaussian with the same second moments,
+ * and the ellipticity is 1 - b / a, where a and b are the standard
+ * deviations along the major and minor axes.
+ *
+ * @param {number} cxx - Variance along x
+ * @param {number} cyy - Variance along y
+ * @param {number} cxy - Covariance of x and y
+ * @returns {[number, number]} Array containing [fwhm, ellipticity]
+ */
+function shape(cxx, cyy, cxy) {
+  const mean = Math.max((cxx + cyy) / 2, 0);
+  const diff = Math.hypot((cxx - cyy) / 2, cxy);
+  const major = mean + diff;
+  const minor = Math.max(mean - diff, 0);
+  return [
+    FWHM_FACTOR * Math.sqrt(mean),
+    major > 0 ? 1 - Math.sqrt(minor / major) : 0,
+  ];
+}
+
+/**
+ * Refine a centroid with a Gaussian window, as the XWIN and YWIN
+ * positions of SExtractor.
+ *
+ * Each iteration moves the position by twice the offset of the centroid of
+ * the pixels weighted by a Gaussian of standard deviation `sigma` centered
+ * at the current position. For a Gaussian star as wide as the window, the
+ * first iteration lands on its center; the window keeps the noise of the
+ * wings and the threshold of the detection out of the position.
+ *
+ * @param {Function} valueAt - Function of (x, y) returning the pixel value, NaN for bad pixels
+ * @param {number} width - Width of the image
+ * @param {number} height - Height of the image
+ * @param {number} bkg - Background level
+ * @param {number} x - Initial x coordinate
+ * @param {number} y - Initial y coordinate
+ * @param {number} sigma - Standard deviation of the window
+ * @returns {[number, number]|null} The refined (x, y) position, or null if it does not converge
+ */
+function windowedCentroid(valueAt, width, height, bkg, x, y, sigma) {
+  const radius = Math.ceil(4 * sigma);
+  const [x0, y0] = [x, y];
+  for (let iter = 0; iter < 20; iter++) {
+    let sumW = 0;
+    let sumX = 0;
+    let sumY = 0;
+    const cx = Math.round(x);
+    const cy = Math.round(y);
+    const yEnd = Math.min(height - 1, cy + radius);
+    const xEnd = Math.min(width - 1, cx + radius);
+    for (let py = Math.max(0, cy - radius); py <= yEnd; py++) {
+      for (let px = Math.max(0, cx - radius); px <= xEnd; px++) {
+        const value = valueAt(px, py);
+        const r2 = (px - x) ** 2 + (py - y) ** 2;
+        if (Number.isNaN(value) || r2 > radius * radius) {
+          continue;
+        }
+        const w = Math.exp(-r2 / (2 * sigma * sigma)) * (value - bkg);
+        sumW += w;
+        sumX += w * (px - x);
+        sumY += w * (py - y);
+      }
+    }
+    if (!(sumW > 0)) {
+      return null;
+    }
+    const dx = (2 * sumX) / sumW;
+    const dy = (2 * sumY) / sumW;
+    x += dx;
+    y += dy;
+    if (Math.hypot(x - x0, y - y0) > radius) {
+      return null;
+    }
+    if (Math.hypot(dx, dy) < 2e-4) {
+      break;
+    }
+  }
+  return [x, y];
+}
+
+/**
+ * Fit an elliptical 2D Gaussian to a source with the Levenberg-Marquardt
+ * algorithm.
+ *
+ * The model is amp * exp(-q / 2) over the background, with the quadratic
+ * form q = a dx^2 + 2 b dx dy + c dy^2 being the inverse of the covariance
+ * matrix. The fit starts from the moments of the source and uses the
+ * pixels within 3 standard deviations, leaving out bad pixels and those at
+ * or above the saturation level, so that saturated stars are fitted on
+ * their wings.
+ *
+ * @param {Function} valueAt - Function of (x, y) returning the pixel value, NaN for bad pixels
+ * @param {number} width - Width of the image
+ * @param {number} height - Height of the image
+ * @param {number} bkg - Background level
+ * @param {number|null} saturation - Saturation level, or null
+ * @param {Object} source - Initial estimate: `{x, y, peak, cxx, cyy, cxy}`
+ * @returns {Object|null} The fitted `{x, y, cxx, cyy, cxy}`, or null if the fit fails
+ */
+function gaussianFit(valueAt, width, height, bkg, saturation, source) {
+  const { x, y, peak } = source;
+  const cxx = Math.max(source.cxx, 0.5);
+  const cyy = Math.max(source.cyy, 0.5);
+  const cxy = cxx * cyy > source.cxy ** 2 ? source.cxy : 0;
+  const det = cxx * cyy - cxy * cxy;
+  const radius = Math.max(2, Math.ceil(3 * Math.sqrt(Math.max(cxx, cyy))));
+
+  // Normalize the values by the peak to keep the system well scaled
+  const scale = peak - bkg;
+  const xs = [];
+  const ys = [];
+  const values = [];
+  const cx = Math.round(x);
+  const cy = Math.round(y);
+  const yEnd = Math.min(height - 1, cy + radius);
+  const xEnd = Math.min(width - 1, cx + radius);
+  for (let py = Math.max(0, cy - radius); py <= yEnd; py++) {
+    for (let px = Math.max(0, cx - radius); px <= xEnd; px++) {
+      const value = valueAt(px, py);
+      if (Number.isNaN(value) || (saturation !== null && value >= saturation)) {
+        continue;
+      }
+      xs.push(px);
+      ys.push(py);
+      values.push((value - bkg) / scale);
+    }
+  }
+  if (!(scale > 0) || values.length < 7) {
+    return null;
+  }
+
+  const chiSquare = ([amp, x0, y0, a, b, c]) => {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      const dx = xs[i] - x0;
+      const dy = ys[i] - y0;
+      const q = a * dx * dx + 2 * b * dx * dy + c * dy * dy;
+      sum += (values[i] - amp * Math.exp(-q / 2)) ** 2;
+    }
+    return sum;
+  };
+  const isValid = ([amp, , , a, b, c]) => amp > 0 && a > 0 && a * c > b * b;
+
+  let params = [1, x, y, cyy / det, -cxy / det, cxx / det];
+  let chi2 = chiSquare(params);
+  let lambda = 1e-3;
+  for (let iter = 0; iter < 50; iter++) {
+    const [amp, x0, y0, a, b, c] = params;
+    const JtJ = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    const Jtr = new Array(6).fill(0);
+    for (let i = 0; i < values.length; i++) {
+      const dx = xs[i] - x0;
+      const dy = ys[i] - y0;
+      const e = Math.exp(-(a * dx * dx + 2 * b * dx * dy + c * dy * dy) / 2);
+      const f = amp * e;
+      const r = values[i] - f;
+      const J = [
+        e,
+        f * (a * dx + b * dy),
+        f * (b * dx + c * dy),
+        -0.5 * f * dx * dx,
+        -f * dx * dy,
+        -0.5 * f * dy * dy,
+      ];
+      for (let j = 0; j < 6; j++) {
+        Jtr[j] += J[j] * r;
+        for (let k = 0; k <= j; k++) {
+          JtJ[j][k] += J[j] * J[k];
+        }
+      }
+    }
+    for (let j = 0; j < 6; j++) {
+      for (let k = j + 1; k < 6; k++) {
+        JtJ[j][k] = JtJ[k][j];
+      }
+    }
+
+    // Increase the damping until a step reduces the residuals
+    let improvement = 0;
+    while (lambda < 1e10) {
+      let step;
+      try {
+        step = solve(
+          JtJ.map((row, j) =>
+            row.map((v, k) => (j === k ? v * (1 + lambda) : v))
+          ),
+          Jtr.slice()
+        );
+      } catch {
+        lambda *= 10;
+        continue;
+      }
+      const trial = params.map((v, j) => v + step[j]);
+      const trialChi2 = isValid(trial) ? chiSquare(trial) : Infinity;
+      if (trialChi2 < chi2) {
+        improvement = chi2 - trialChi2;
+        params = trial;
+        chi2 = trialChi2;
+        lambda = Math.max(lambda / 10, 1e-7);
+        break;
+      }
+      lambda *= 10;
+    }
+    if (improvement <= 1e-10 * chi2) {
+      break;
+    }
+  }
+
+  const [, x0, y0, a, b, c] = params;
+  if (Math.hypot(x0 - x, y0 - y) > radius) {
+    return null;
+  }
+  const inverseDet = a * c - b * b;
+  return {
+    x: x0,
+    y: y0,
+    cxx: c / inverseDet,
+    cyy: a / inverseDet,
+    cxy: -b / inverseDet,
+  };
+}
+
+/**
+ * Return the functions to read the pixels of an image and their detection
+ * threshold, shared by extractSources and measureSources.
+ *
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {Uint8Array|null} bad - Bad pixels (1 for bad) in row-major order, or null
+ * @param {Object} background - Background `{level, noise}` functions, see backgroundMap
+ * @param {number} detectionSigma - Factor of background std-dev above which is considered a detection
+ * @returns {Object} `{width, height, valueAt, thresholdAt, level, noise}` where valueAt returns NaN for bad pixels
+ */
+function detectionContext(image, bad, { level, noise }, detectionSigma) {
+  const [height, width] = image.shape;
+  return {
+    width,
+    height,
+    valueAt: (x, y) =>
+      bad !== null && bad[y * width + x] ? NaN : image.get(y, x),
+    thresholdAt: (x, y) => level(x, y) + detectionSigma * noise(x, y),
+    level,
+    noise,
+  };
+}
+
+/**
+ * Grow the 8-connected region of pixels above the detection threshold from
+ * one of its pixels, summing the moments of their background-subtracted
+ * values.
+ *
+ * @param {Object} context - Image context, see detectionContext
+ * @param {number} start - Row-major index of a pixel above the threshold
+ * @param {Object} visited - Pixels already in a region, as a Set of row-major indices or an object with the same has and add methods
+ * @returns {Object} `{area, flux, peak, sumX, sumY, sumXX, sumYY, sumXY, nextToBad}`
+ */
+function growRegion(context, start, visited) {
+  const { width, height, valueAt, thresholdAt, level } = context;
+  const region = {
+    area: 0,
+    flux: 0,
+    peak: -Infinity,
+    sumX: 0,
+    sumY: 0,
+    sumXX: 0,
+    sumYY: 0,
+    sumXY: 0,
+    nextToBad: false,
+  };
+  const stack = [start];
+  visited.add(start);
+  while (stack.length > 0) {
+    const pos = stack.pop();
+    const px = pos % width;
+    const py = (pos - px) / width;
+    const raw = valueAt(px, py);
+    const value = raw - level(px, py);
+    region.area++;
+    region.flux += value;
+    region.peak = Math.max(region.peak, raw);
+    region.sumX += value * px;
+    region.sumY += value * py;
+    region.sumXX += value * px * px;
+    region.sumYY += value * py * py;
+    region.sumXY += value * px * py;
+    const yEnd = Math.min(height - 1, py + 1);
+    const xEnd = Math.min(width - 1, px + 1);
+    for (let ny = Math.max(0, py - 1); ny <= yEnd; ny++) {
+      for (let nx = Math.max(0, px - 1); nx <= xEnd; nx++) {
+        const npos = ny * width + nx;
+        const neighbor = valueAt(nx, ny);
+        if (Number.isNaN(neighbor)) {
+          region.nextToBad = true;
+        } else if (!visited.has(npos) && neighbor > thresholdAt(nx, ny)) {
+          visited.add(npos);
+          stack.push(npos);
+        }
+      }
+    }
+  }
+  return region;
+}
+
+/**
+ * Measure the position and shape of a region with one of the centroid
+ * methods, see extractSources.
+ *
+ * @param {Object} context - Image context, see detectionContext
+ * @param {Object} region - Region, see growRegion
+ * @param {Object} options - Measurement options
+ * @param {string} options.centroid - Centroid method: "moments", "windowed" or "gaussian"
+ * @param {number|null} options.saturation - Saturation level of the pixel values, or null
+ * @returns {Object} The source `{x, y, error, flux, peak, area, fwhm, ellipticity, saturated}`
+ */
+function measureRegion(context, region, { centroid, saturation }) {
+  const { width, height, valueAt, level, noise } = context;
+  const { area, flux, peak } = region;
+  let x = region.sumX / flux;
+  let y = region.sumY / flux;
+  let cxx = region.sumXX / flux - x * x;
+  let cyy = region.sumYY / flux - y * y;
+  let cxy = region.sumXY / flux - x * y;
+  const bkg = level(x, y);
+  if (centroid === "windowed") {
+    // A window narrower than a pixel does not converge on undersampled
+    // stars
+    const sigma = Math.max(Math.sqrt((cxx + cyy) / 2), 1);
+    const refined = windowedCentroid(valueAt, width, height, bkg, x, y, sigma);
+    if (refined !== null) {
+      [x, y] = refined;
+    }
+  } else if (centroid === "gaussian") {
+    const fit = gaussianFit(valueAt, width, height, bkg, saturation, {
+      x,
+      y,
+      peak,
+      cxx,
+      cyy,
+      cxy,
+    });
+    if (fit !== null) {
+      ({ x, y, cxx, cyy, cxy } = fit);
+    }
+  }
+  const [fwhm, ellipticity] = shape(cxx, cyy, cxy);
+  const sigma = Math.max(Math.sqrt((cxx + cyy) / 2), 0.5);
+  const error = Math.max((sigma * noise(x, y) * Math.sqrt(area)) / flux, 1e-3);
+  const saturated = saturation !== null && peak >= saturation;
+  return { x, y, error, flux, peak, area, fwhm, ellipticity, saturated };
+}
+
+/**
+ * Detect and measure the brightest sources in a 2D image.
+ *
+ * Pixels above `detectionSigma` times the background noise level are
+ * grouped into 8-connected regions, with the background estimated in tiles
+ * of `tileSize` pixels, see backgroundMap. Regions with less than `minArea`
+ * pixels are discarded, and the rest are measured with one of the centroid
+ * methods:
+ *   - "moments": the centroid of the pixels of the region, weighting each
+ *     one by its background-subtracted value
+ *   - "windowed": the moments centroid refined with a Gaussian window as
+ *     wide as the source, see windowedCentroid
+ *   - "gaussian": the center of an elliptical 2D Gaussian fitted to the
+ *     source, see gaussianFit
+ * If a refinement fails, the source keeps its moments centroid. The FWHM
+ * and ellipticity come from the second moments of the region, or from the
+ * fitted Gaussian. The uncertainty of the position is estimated as the
+ * standard deviation of the source over its signal-to-noise ratio, with
+ * the background noise only, and at least 0.001 pixels.
+ *
+ * The pixels are read from the image in place: besides the background
+ * tiles, the only full-size buffer is a byte per pixel to label the
+ * regions.
+ *
+ * Bad pixels are left out of the background estimate and of the regions,
+ * and regions next to a bad pixel are discarded, since their centroids
+ * would be biased (e.g. the wings of a masked saturated star). Sources
+ * with a pixel at or above `saturation` are flagged as saturated.
+ *
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {Object} options - Detection options
+ * @param {number} options.detectionSigma - Factor of background std-dev above which is considered a detection
+ * @param {number} options.minArea - Minimum number of connected pixels to be considered a source
+ * @param {string} options.centroid - Centroid method: "moments" (default), "windowed" or "gaussian"
+ * @param {number|null} options.saturation - Saturation level of the pixel values, or null (default)
+ * @param {boolean} options.excludeSaturated - Whether to leave out saturated sources (default false)
+ * @param {number} options.maxSources - Maximum number of sources to return (default Infinity)
+ * @param {number|null} options.tileSize - Size of the background tiles in pixels, or null (default) for a single tile
+ * @param {Uint8Array|null} bad - Bad pixels (1 for bad) in row-major order, or null, see badPixels
+ * @returns {Object[]} Array of `{x, y, error, flux, peak, area, fwhm, ellipticity, saturated}` sources, sorted by decreasing flux
+ */
+function extractSources(
+  image,
+  {
+    detectionSigma,
+    minArea,
+    centroid = "moments",
+    saturation = null,
+    excludeSaturated = false,
+    maxSources = Infinity,
+    tileSize = null,
+  },
+  bad = null
+) {
+  const context = detectionContext(
+    image,
+    bad,
+    backgroundMap(image, bad, tileSize),
+    detectionSigma
+  );
+  const { width, height, valueAt, thresholdAt } = context;
+
+  // Label 8-connected regions of pixels above the threshold
+  const labels = new Uint8Array(width * height);
+  const visited = {
+    has: (pos) => labels[pos] === 1,
+    add: (pos) => {
+      labels[pos] = 1;
+    },
+  };
+  const threshold = new Float64Array(width);
+  const regions = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      threshold[x] = thresholdAt(x, y);
+    }
+    for (let x = 0; x < width; x++) {
+      const start = y * width + x;
+      if (labels[start] || !(valueAt(x, y) > threshold[x])) {
+        continue;
+      }
+      const region = growRegion(context, start, visited);
+      if (region.area >= minArea && !region.nextToBad) {
+        regions.push(region);
+      }
+    }
+  }
+
+  return regions
+    .sort((a, b) => b.flux - a.flux)
+    .filter(
+      (region) =>
+        !(excludeSaturated && saturation !== null && region.peak >= saturation)
+    )
+    .slice(0, maxSources)
+    .map((region) => measureRegion(context, region, { centroid, saturation }));
+}
+
+/**
+ * Measure the sources at approximate positions, such as those found in a
+ * binned copy of the image (see binImage), at full resolution.
+ *
+ * For each position, the region above the detection threshold is grown
+ * from the brightest pixel within `radius` pixels and measured as in
+ * extractSources. Besides the background estimate, only the pixels around
+ * the positions are read.
+ *
+ * @param {Object} image - 2D ndarray of shape (height, width)
+ * @param {number[][]} positions - Array of approximate (x, y) positions
+ * @param {Object} options - Measurement options
+ * @param {number} options.detectionSigma - Factor of background std-dev above which is considered a detection
+ * @param {number} options.radius - Maximum distance in pixels between a position and the brightest pixel of its source
+ * @param {string} options.centroid - Centroid method: "moments" (default), "windowed" or "gaussian"
+ * @param {number|null} options.saturation - Saturation level of the pixel values, or null (default)
+ * @param {number|null} options.tileSize - Size of the background tiles in pixels, or null (default) for a single tile
+ * @param {Uint8Array|null} bad - Bad pixels (1 for bad) in row-major order, or null, see badPixels
+ * @returns {Array<Object|null>} The source at each position, see extractSources, or null if there is none or it is next to a bad pixel
+ */
+function measureSources(
+  image,
+  positions,
+  {
+    detectionSigma,
+    radius,
+    centroid = "moments",
+    saturation = null,
+    tileSize = null,
+  },
+  bad = null
+) {
+  const context = detectionContext(
+    image,
+    bad,
+    backgroundMap(image, bad, tileSize),
+    detectionSigma
+  );
+  const { width, height, valueAt, thresholdAt } = context;
+  return positions.map(([x, y]) => {
+    let start = -1;
+    let brightest = -Infinity;
+    const yEnd = Math.min(height - 1, Math.floor(y + radius));
+    const xEnd = Math.min(width - 1, Math.floor(x + radius));
+    for (let py = Math.max(0, Math.ceil(y - radius)); py <= yEnd; py++) {
+      for (let px = Math.max(0, Math.ceil(x - radius)); px <= xEnd; px++) {
+        const value = valueAt(px, py);
+        if (
+          Math.hypot(px - x, py - y) <= radius &&
+          value > brightest &&
+          value > thresholdAt(px, py)
+        ) {
+          start = py * width + px;
+          brightest = value;
+        }
+      }
+    }
+    if (start < 0) {
+      return null;
+    }
+    const region = growRegion(context, start, new Set());
+    return region.nextToBad
+      ? null
+      : measureRegion(context, region, { centroid, saturation });
+  });
+}
+
+export {
+  CENTROIDS,
+  median,
+  backgroundStats,
+  backgroundMap,
+  binImage,
+  extractSources,
+  measureSources,
+};
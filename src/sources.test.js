@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import ndarray from "ndarray";
+import { backgroundMap, binImage, measureSources } from "./sources.js";
+
+describe("backgroundMap", () => {
+  // A gradient along x, with a bright pixel in each tile
+  const width = 64;
+  const height = 48;
+  const image = ndarray(new Float64Array(width * height), [height, width]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      image.set(y, x, 100 + 2 * x + ((x + y) % 2));
+    }
+  }
+  image.set(5, 5, 1e6);
+  image.set(30, 40, 1e6);
+
+  it("interpolates the background between the tiles", () => {
+    const { level, noise } = backgroundMap(image, null, 16);
+    for (const x of [8, 20, 31.5, 44]) {
+      expect(level(x, 20)).toBeCloseTo(100.5 + 2 * x, 0);
+    }
+    expect(noise(30, 20)).toBeGreaterThan(0);
+    // Beyond the centers of the tiles at the edges, the level is constant
+    expect(level(0, 0)).toBe(level(7.5, 7.5));
+  });
+
+  it("uses a single tile without a tile size", () => {
+    const { level } = backgroundMap(image);
+    expect(level(0, 0)).toBe(level(63, 47));
+  });
+
+  it("samples the pixels of large tiles", () => {
+    // More pixels than are copied for the statistics of a tile
+    const large = ndarray(new Float64Array(640 * 480), [480, 640]);
+    for (let i = 0; i < large.data.length; i++) {
+      large.data[i] = 100 + (i % 7) - 3;
+    }
+    const { level, noise } = backgroundMap(large);
+    expect(level(0, 0)).toBeCloseTo(100, 0);
+    expect(noise(0, 0)).toBeCloseTo(1.4826 * 2, 0);
+  });
+
+  it("fills the tiles without good pixels", () => {
+    const bad = new Uint8Array(width * height);
+    for (let y = 0; y < 16; y++) {
+      for (let x = 0; x < 16; x++) {
+        bad[y * width + x] = 1;
+      }
+    }
+    const { level } = backgroundMap(image, bad, 16);
+    expect(Number.isFinite(level(0, 0))).toBe(true);
+  });
+});
+
+describe("binImage", () => {
+  it("averages the good pixels of each block", () => {
+    const image = ndarray(
+      Float64Array.from({ length: 15 }, (_, i) => i),
+      [3, 5]
+    );
+    const bad = new Uint8Array(15);
+    bad[0] = 1;
+    const binned = binImage(image, 2, bad);
+    expect(binned.image.shape).toEqual([2, 3]);
+    expect(binned.image.get(0, 0)).toBeCloseTo((1 + 5 + 6) / 3, 10);
+    expect(binned.image.get(0, 2)).toBeCloseTo((4 + 9) / 2, 10);
+    expect(binned.image.get(1, 1)).toBeCloseTo((12 + 13) / 2, 10);
+    expect(binned.bad).toBeNull();
+
+    const allBad = binImage(image, 2, new Uint8Array(15).fill(1));
+    expect(Array.from(allBad.bad)).toEqual([1, 1, 1, 1, 1, 1]);
+  });
+});
+
+describe("measureSources", () => {
+  it("measures the sources near approximate positions", () => {
+    const width = 40;
+    const height = 30;
+    const image = ndarray(new Float64Array(width * height), [height, width]);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const r2 = (x - 12.3) ** 2 + (y - 15.6) ** 2;
+        image.set(y, x, 10 + ((x * 7 + y * 3) % 5) + 500 * Math.exp(-r2 / 4));
+      }
+    }
+    const [star, nothing] = measureSources(
+      image,
+      [
+        [13.5, 14.5],
+        [30, 5],
+      ],
+      { detectionSigma: 5, radius: 2, centroid: "gaussian" }
+    );
+    expect(star.x).toBeCloseTo(12.3, 1);
+    expect(star.y).toBeCloseTo(15.6, 1);
+    expect(nothing).toBeNull();
+  });
+});
@@ -0,0 +1,315 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import ndarray from "ndarray";
+import { Aligner, resampler } from "./astroalign.js";
+import { data, like } from "./image.js";
+import { INTERPOLATIONS } from "./interpolate.js";
+import { median } from "./sources.js";
+import { SimilarityTransform } from "./transform.js";
+
+// Number of values of the frames combined at a time by "median" and
+// "sigmaclip", which need all the values of a pixel at once
+const BLOCK_VALUES = 2 ** 22;
+
+const STACK_DEFAULTS = Object.freeze({
+  method: "mean",
+  sigma: 3,
+  maxIters: 5,
+  fillValue: NaN,
+  includeReference: true,
+  interpolation: "bilinear",
+  conserveFlux: false,
+});
+
+/**
+ * Return the mean of the first n values of arr.
+ *
+ * @param {Float64Array} arr - Array of values
+ * @param {number} n - Number of values
+ * @returns {number} The mean value
+ */
+function mean(arr, n) {
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    sum += arr[i];
+  }
+  return sum / n;
+}
+
+/**
+ * Return the mean of the values that are within `sigma` standard deviations
+ * of the median, rejecting outliers iteratively.
+ *
+ * The standard deviation is estimated from the median absolute deviation so
+ * that a single outlier does not hide itself, even with a few frames.
+ *
+ * @param {Float64Array} arr - Array of values (reordered in place)
+ * @param {number} n - Number of values
+ * @param {number} sigma - Clipping threshold in standard deviations
+ * @param {number} maxIters - Maximum number of clipping iterations
+ * @param {Float64Array} scratch - Scratch array of at least n elements
+ * @returns {number} The sigma-clipped mean
+ */
+function sigmaClippedMean(arr, n, sigma, maxIters, scratch) {
+  for (let iter = 0; iter < maxIters && n > 2; iter++) {
+    const center = median(arr.subarray(0, n));
+    for (let i = 0; i < n; i++) {
+      scratch[i] = Math.abs(arr[i] - center);
+    }
+    const std = 1.4826 * median(scratch.subarray(0, n));
+    let kept = 0;
+    for (let i = 0; i < n; i++) {
+      if (Math.abs(arr[i] - center) <= sigma * std) {
+        arr[kept++] = arr[i];
+      }
+    }
+    if (kept === n) {
+      break;
+    }
+    n = kept;
+  }
+  return mean(arr, n);
+}
+
+/**
+ * Combine the frames into their mean, adding each frame into running sums
+ * as it is resampled, so that only one frame is resampled at a time.
+ *
+ * @param {Function[]} frames - Functions returning the resamplers of the frames, see resampler
+ * @param {Object} stacked - ndarray of shape (height, width) or (height, width, channels) to write the mean into
+ * @param {Object} coverage - ndarray of shape (height, width) to write the number of frames combined into
+ * @param {number} fillValue - Value of the pixels not covered by any frame
+ */
+function stackMean(frames, stacked, coverage, fillValue) {
+  const [height, width] = coverage.shape;
+  const channels = stacked.size / coverage.size;
+  const counts = new Uint32Array(stacked.size);
+  for (const frame of frames) {
+    const [aligned, footprint] = frame()(0, height, width);
+    for (let pos = 0; pos < width * height; pos++) {
+      if (footprint.data[pos]) {
+        continue;
+      }
+      for (let c = 0; c < channels; c++) {
+        const i = pos * channels + c;
+        const value = aligned.data[i];
+        if (Number.isFinite(value)) {
+          stacked.data[i] += value;
+          counts[i]++;
+        }
+      }
+    }
+  }
+  for (let pos = 0; pos < width * height; pos++) {
+    for (let c = 0; c < channels; c++) {
+      const i = pos * channels + c;
+      const n = counts[i];
+      coverage.data[pos] = c === 0 ? n : Math.min(coverage.data[pos], n);
+      stacked.data[i] = n === 0 ? fillValue : stacked.data[i] / n;
+    }
+  }
+}
+
+/**
+ * Combine the frames with the median or the sigma-clipped mean, which need
+ * the values of all the frames at each pixel. The frames are resampled and
+ * combined in blocks of rows of at most BLOCK_VALUES values, so that the
+ * memory does not grow with the number of frames.
+ *
+ * @param {Function[]} frames - Functions returning the resamplers of the frames, see resampler
+ * @param {Object} stacked - ndarray of shape (height, width) or (height, width, channels) to write the combined values into
+ * @param {Object} coverage - ndarray of shape (height, width) to write the number of frames combined into
+ * @param {Object} options - Stacking options, see stack
+ */
+function stackBlocks(
+  frames,
+  stacked,
+  coverage,
+  { method, sigma, maxIters, fillValue }
+) {
+  const [height, width] = coverage.shape;
+  const channels = stacked.size / coverage.size;
+  const rows = Math.max(
+    1,
+    Math.floor(BLOCK_VALUES / (Math.max(1, frames.length) * width * channels))
+  );
+  const resamplers = frames.map((frame) => frame());
+  const values = new Float64Array(frames.length);
+  const scratch = new Float64Array(frames.length);
+  for (let y0 = 0; y0 < height; y0 += rows) {
+    const y1 = Math.min(height, y0 + rows);
+    const blocks = resamplers.map((resampleRows) =>
+      resampleRows(y0, y1, width)
+    );
+    for (let pos = y0 * width; pos < y1 * width; pos++) {
+      const local = pos - y0 * width;
+      for (let c = 0; c < channels; c++) {
+        let n = 0;
+        for (const [aligned, footprint] of blocks) {
+          const value = aligned.data[local * channels + c];
+          if (!footprint.data[local] && Number.isFinite(value)) {
+            values[n++] = value;
+          }
+        }
+        coverage.data[pos] = c === 0 ? n : Math.min(coverage.data[pos], n);
+
+        let combined;
+        if (n === 0) {
+          combined = fillValue;
+        } else if (method === "median") {
+          combined = median(values.subarray(0, n));
+        } else {
+          combined = sigmaClippedMean(values, n, sigma, maxIters, scratch);
+        }
+        stacked.data[pos * channels + c] = combined;
+      }
+    }
+  }
+}
+
+/**
+ * Align a list of images with a reference image and combine them into a
+ * single co-added image.
+ *
+ * Each image is aligned with findTransform (through an Aligner) and
+ * resampled into the pixel grid of the reference, see applyTransform. For
+ * each pixel, only the frames whose footprint covers it are combined, so
+ * the bad pixels of the frames (NaN values, or those set in `targetMask` for
+ * the reference and in `sourceMask` for the other images) are left out.
+ * The combination uses one of the methods:
+ *   - "mean": the mean of the values
+ *   - "median": the median of the values
+ *   - "sigmaclip": the mean of the values within `sigma` standard
+ *     deviations of the median, rejecting outliers iteratively
+ *
+ * Images that fail to align are left out of the stack and reported in
+ * `results`, with the error raised.
+ *
+ * The memory does not grow with the number of images: "mean" resamples
+ * one frame at a time and adds it into running sums, and "median" and
+ * "sigmaclip" resample and combine all the frames a block of rows at a
+ * time. The images themselves are read in place, except nested arrays and
+ * canvases, which "median" and "sigmaclip" keep converted for the whole
+ * stack.
+ *
+ * @param {number[][]|Object} reference - Reference image, in any of the formats accepted by findTransform
+ * @param {Array} images - Images to align and stack
+ * @param {Object} options - Stacking options, plus any option of findTransform
+ * @param {string} options.method - Combination method: "mean" (default), "median" or "sigmaclip"
+ * @param {number} options.sigma - Clipping threshold for "sigmaclip", in standard deviations (default 3)
+ * @param {number} options.maxIters - Maximum number of clipping iterations for "sigmaclip" (default 5)
+ * @param {number} options.fillValue - Value of the pixels not covered by any frame (default NaN)
+ * @param {boolean} options.includeReference - Whether to stack the reference image too (default true)
+ * @param {string} options.interpolation - Interpolation method, see applyTransform (default "bilinear")
+ * @param {boolean} options.conserveFlux - Whether to conserve the flux, see applyTransform (default false)
+ * @returns {Object} `{image, coverage, results}` where image is the stacked image and coverage the number of frames combined in each pixel, both in the format of the reference, and results are the `{index, result, error}` alignment results of the images, see Aligner.alignAll
+ * @throws {TypeError} If the stacking method or the interpolation are unknown
+ * @throws {RangeError} If sigma or maxIters are out of range
+ */
+function stack(reference, images, options = {}) {
+  const stackOptions = { ...STACK_DEFAULTS };
+  const alignOptions = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (Object.hasOwn(STACK_DEFAULTS, name)) {
+      stackOptions[name] = value;
+    } else {
+      alignOptions[name] = value;
+    }
+  }
+  const { method, sigma, maxIters, fillValue, includeReference, ...resample } =
+    stackOptions;
+  if (!["mean", "median", "sigmaclip"].includes(method)) {
+    throw new TypeError(
+      `Unknown stacking method "${method}", ` +
+        "expected one of mean, median, sigmaclip."
+    );
+  }
+  if (!(sigma > 0)) {
+    throw new RangeError('Option "sigma" must be a positive number.');
+  }
+  if (!Number.isInteger(maxIters) || maxIters < 1) {
+    throw new RangeError('Option "maxIters" must be a positive integer.');
+  }
+  if (!INTERPOLATIONS.includes(resample.interpolation)) {
+    throw new TypeError(
+      `Unknown interpolation "${resample.interpolation}", ` +
+        `expected one of ${INTERPOLATIONS.join(", ")}.`
+    );
+  }
+
+  const aligner = new Aligner(reference, alignOptions);
+  const results = aligner.alignAll(images);
+  const referenceData = data(reference);
+
+  // Functions that return the resamplers of the aligned frames into the
+  // reference pixel grid, so that they are created when they are needed
+  const frames = [];
+  if (includeReference) {
+    const identity = new SimilarityTransform([
+      [1, 0, 0],
+      [0, 1, 0],
+      [0, 0, 1],
+    ]);
+    frames.push(() =>
+      resampler(identity, referenceData, {
+        ...resample,
+        mask: aligner.options.targetMask,
+      })
+    );
+  }
+  for (const { index, result } of results) {
+    if (result !== null) {
+      frames.push(() =>
+        resampler(result.transform, images[index], {
+          ...resample,
+          mask: aligner.options.sourceMask,
+        })
+      );
+    }
+  }
+
+  const [height, width] = referenceData.shape;
+  const channels =
+    referenceData.shape.length === 3 ? referenceData.shape[2] : 1;
+  const shape = channels > 1 ? [height, width, channels] : [height, width];
+  const stacked = ndarray(new Float64Array(width * height * channels), shape);
+  const coverage = ndarray(new Float64Array(width * height), [height, width]);
+  if (method === "mean") {
+    stackMean(frames, stacked, coverage, fillValue);
+  } else {
+    stackBlocks(frames, stacked, coverage, {
+      method,
+      sigma,
+      maxIters,
+      fillValue,
+    });
+  }
+
+  return {
+    image: like(reference, stacked),
+    coverage: like(reference, coverage),
+    results,
+  };
+}
+
+export { stack };
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { stack } from "./stack.js";
+import { TooFewSourcesError } from "./errors.js";
+import { seededRandom, makeStarImage, makeStarFields } from "./test-utils.js";
+
+/**
+ * Render an image of the stars shifted by (dx, dy), see makeStarImage.
+ */
+function makeFrame(width, height, stars, dx, dy, random) {
+  const shifted = stars.map(([x, y, amp]) => [x + dx, y + dy, amp]);
+  return makeStarImage(width, height, shifted, random);
+}
+
+/**
+ * Return the RMS difference between the background pixels of an image and
+ * the flat background level, within a margin from the borders.
+ */
+function backgroundNoise(image, stars, margin) {
+  let sum = 0;
+  let count = 0;
+  for (let y = margin; y < image.length - margin; y++) {
+    for (let x = margin; x < image[0].length - margin; x++) {
+      if (stars.every(([sx, sy]) => Math.hypot(x - sx, y - sy) > 8)) {
+        sum += (image[y][x] - 100) ** 2;
+        count++;
+      }
+    }
+  }
+  return Math.sqrt(sum / count);
+}
+
+describe("stack", () => {
+  const random = seededRandom(77);
+  const width = 90;
+  const height = 80;
+  const [stars] = makeStarFields(width, height, (p) => p, random, 12);
+  const reference = makeFrame(width, height, stars, 0, 0, random);
+  const shifts = [
+    [3, 2],
+    [-2, 4],
+    [5, -3],
+    [-4, -1],
+  ];
+  const frames = shifts.map(([dx, dy]) =>
+    makeFrame(width, height, stars, dx, dy, random)
+  );
+
+  it("averages aligned frames and reduces the noise", () => {
+    const { image, coverage, results } = stack(reference, frames, {
+      method: "mean",
+    });
+
+    expect(results.every(({ error }) => error === null)).toBe(true);
+    expect(image.length).toBe(height);
+    expect(image[0].length).toBe(width);
+    expect(coverage[40][45]).toBe(5);
+    // The frame shifted by +5 in x does not reach the right edge
+    expect(coverage[40][width - 1]).toBeLessThan(5);
+
+    // The background noise of the mean of 5 frames is about 1/sqrt(5)
+    const single = backgroundNoise(reference, stars, 6);
+    const stacked = backgroundNoise(image, stars, 6);
+    expect(stacked).toBeLessThan(0.6 * single);
+
+    // Stars stay at their reference positions
+    for (const [x, y, amp] of stars) {
+      const peak = image[Math.round(y)][Math.round(x)];
+      expect(peak - 100).toBeGreaterThan(0.6 * amp);
+    }
+  });
+
+  it("rejects outliers with median and sigma clipping", () => {
+    // A cosmic ray hit in frame 1, shifted by (-2, +4), on reference pixel
+    // (45, 40)
+    const hit = frames.map((frame) => frame.map((row) => [...row]));
+    hit[1][44][43] += 5000;
+
+    const mean = stack(reference, hit, { method: "mean" }).image[40][45];
+    const median = stack(reference, hit, { method: "median" }).image[40][45];
+    const clipped = stack(reference, hit, {
+      method: "sigmaclip",
+      sigma: 3,
+    }).image[40][45];
+
+    expect(mean).toBeGreaterThan(900);
+    expect(Math.abs(median - reference[40][45])).toBeLessThan(50);
+    expect(Math.abs(clipped - reference[40][45])).toBeLessThan(50);
+  });
+
+  it("leaves out frames that fail to align", () => {
+    const blank = Array.from({ length: height }, () =>
+      new Array(width).fill(100)
+    );
+    const { image, coverage, results } = stack(reference, [frames[0], blank], {
+      includeReference: false,
+      fillValue: 0,
+    });
+
+    expect(results[0].error).toBe(null);
+    expect(results[1].error).toBeInstanceOf(TooFewSourcesError);
+    expect(coverage[40][45]).toBe(1);
+    // Only frame 0 (shifted by +3, +2) is stacked
+    expect(coverage[height - 1][width - 1]).toBe(0);
+    expect(image[height - 1][width - 1]).toBe(0);
+  });
+
+  it("validates the stacking options", () => {
+    expect(() => stack(reference, frames, { method: "sum" })).toThrow(
+      TypeError
+    );
+    expect(() => stack(reference, frames, { sigma: 0 })).toThrow(RangeError);
+  });
+});
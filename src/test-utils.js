@@ -0,0 +1,102 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+/**
+ * Return a seeded pseudo-random number generator for reproducible tests.
+ *
+ * @param {number} seed - Initial state of the generator
+ * @returns {Function} Function returning a number in [0, 1) at each call
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Render an image of Gaussian stars over a noisy flat background, as nested
+ * arrays. Convert it with `data` for tests that need an ndarray.
+ *
+ * @param {number} width - Width of the image
+ * @param {number} height - Height of the image
+ * @param {number[][]} stars - Array of (x, y, amplitude) stars
+ * @param {Function} random - Random number generator, see seededRandom
+ * @returns {number[][]} Image indexed as image[y][x], with a background of 100
+ */
+function makeStarImage(width, height, stars, random) {
+  const sigma = 1.5;
+  const image = Array.from({ length: height }, () =>
+    Array.from({ length: width }, () => {
+      // Box-Muller transform for normally distributed noise
+      const u = 1 - random();
+      const v = random();
+      return 100 + Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    })
+  );
+  for (const [sx, sy, amp] of stars) {
+    for (let y = Math.floor(sy) - 6; y <= Math.floor(sy) + 6; y++) {
+      for (let x = Math.floor(sx) - 6; x <= Math.floor(sx) + 6; x++) {
+        if (x < 0 || y < 0 || x >= width || y >= height) {
+          continue;
+        }
+        const r2 = (x - sx) ** 2 + (y - sy) ** 2;
+        image[y][x] += amp * Math.exp(-r2 / (2 * sigma ** 2));
+      }
+    }
+  }
+  return image;
+}
+
+/**
+ * Place stars at random in a source field and at their transformed
+ * positions in a target field, keeping all of them inside both fields.
+ *
+ * @param {number} width - Width of the fields
+ * @param {number} height - Height of the fields
+ * @param {Function} toTarget - Map from source to target (x, y) positions
+ * @param {Function} random - Random number generator, see seededRandom
+ * @param {number} nStars - Number of stars (default 20)
+ * @returns {[number[][], number[][]]} Source and target (x, y, amplitude) stars
+ */
+function makeStarFields(width, height, toTarget, random, nStars = 20) {
+  const sourceStars = [];
+  const targetStars = [];
+  while (sourceStars.length < nStars) {
+    const p = [10 + random() * (width - 20), 10 + random() * (height - 20)];
+    const [qx, qy] = toTarget(p);
+    if (qx < 10 || qy < 10 || qx > width - 10 || qy > height - 10) {
+      continue;
+    }
+    // Keep stars apart so that they are not blended together
+    if (sourceStars.some(([sx, sy]) => Math.hypot(sx - p[0], sy - p[1]) < 10)) {
+      continue;
+    }
+    const amp = 200 + random() * 2000;
+    sourceStars.push([...p, amp]);
+    targetStars.push([qx, qy, amp]);
+  }
+  return [sourceStars, targetStars];
+}
+
+export { seededRandom, makeStarImage, makeStarFields };
@@ -0,0 +1,856 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import nudged from "nudged";
+
+/**
+ * Solve the linear system A x = b by Gaussian elimination with partial
+ * pivoting.
+ *
+ * @param {number[][]} A - Square matrix of coefficients (modified in place)
+ * @param {number[]} b - Right-hand side vector (modified in place)
+ * @returns {number[]} The solution vector x
+ */
+function solve(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) {
+      throw new Error("Singular system, the points are degenerate.");
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) {
+        A[row][k] -= f * A[col][k];
+      }
+      b[row] -= f * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= A[row][k] * x[k];
+    }
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Solve the linear least squares problem min |X p - y| using the normal
+ * equations, weighting each equation if weights are given.
+ *
+ * @param {number[][]} X - Design matrix, one row per equation
+ * @param {number[]} y - Observations, one per equation
+ * @param {number[]|null} weights - Weight of each equation, or null (default) for equal weights
+ * @returns {number[]} The least squares parameters p
+ */
+function leastSquares(X, y, weights = null) {
+  const n = X[0].length;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+  for (let r = 0; r < X.length; r++) {
+    const row = X[r];
+    const w = weights === null ? 1 : weights[r];
+    for (let i = 0; i < n; i++) {
+      b[i] += w * row[i] * y[r];
+      for (let j = 0; j < n; j++) {
+        A[i][j] += w * row[i] * row[j];
+      }
+    }
+  }
+  return solve(A, b);
+}
+
+/**
+ * Return the inverse of a 3x3 matrix.
+ *
+ * @param {number[][]} m - 3x3 matrix
+ * @returns {number[][]} The inverse 3x3 matrix
+ */
+function invert3x3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-15) {
+    throw new Error("Singular transformations cannot be inverted.");
+  }
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
+}
+
+/**
+ * Return the product of two 3x3 matrices.
+ *
+ * @param {number[][]} m1 - Left 3x3 matrix
+ * @param {number[][]} m2 - Right 3x3 matrix
+ * @returns {number[][]} The 3x3 matrix m1 * m2
+ */
+function multiply3x3(m1, m2) {
+  return m1.map((row) =>
+    [0, 1, 2].map(
+      (j) => row[0] * m2[0][j] + row[1] * m2[1][j] + row[2] * m2[2][j]
+    )
+  );
+}
+
+/**
+ * Return the similarity that moves the centroid of the points to the origin
+ * and scales them to an average distance of sqrt(2) from it.
+ *
+ * This normalization improves the conditioning of the projective fit
+ * (Hartley, "In defense of the eight-point algorithm", 1997).
+ *
+ * @param {number[][]} points - Array of (x, y) points
+ * @returns {number[][]} 3x3 normalizing matrix
+ */
+function normalizingMatrix(points) {
+  const n = points.length;
+  const mx = points.reduce((sum, p) => sum + p[0], 0) / n;
+  const my = points.reduce((sum, p) => sum + p[1], 0) / n;
+  const meanDist =
+    points.reduce((sum, p) => sum + Math.hypot(p[0] - mx, p[1] - my), 0) / n;
+  const s = meanDist > 0 ? Math.SQRT2 / meanDist : 1;
+  return [
+    [s, 0, -s * mx],
+    [0, s, -s * my],
+    [0, 0, 1],
+  ];
+}
+
+/**
+ * Return the parameters a, b, x, y of the weighted least squares similarity
+ * (x', y') = (a x - b y + x, b x + a y + y) that maps source into target,
+ * flipping the y axis of the source first for mirrored similarities.
+ *
+ * nudged does not take weights, so this is the closed-form solution with
+ * the points centered at their weighted means.
+ *
+ * @param {number[][]} source - Array of (x, y) source points
+ * @param {number[][]} target - Array of (x, y) target points
+ * @param {number} parity - 1 for a proper similarity, or -1 for a mirrored one
+ * @param {number[]} weights - Weight of each pair of points
+ * @returns {Object} The parameters `{a, b, x, y}`
+ */
+function weightedSimilarity(source, target, parity, weights) {
+  let sumW = 0;
+  let mx = 0;
+  let my = 0;
+  let mu = 0;
+  let mv = 0;
+  source.forEach(([sx, sy], i) => {
+    const w = weights[i];
+    sumW += w;
+    mx += w * sx;
+    my += w * parity * sy;
+    mu += w * target[i][0];
+    mv += w * target[i][1];
+  });
+  [mx, my, mu, mv] = [mx / sumW, my / sumW, mu / sumW, mv / sumW];
+  let norm = 0;
+  let sumA = 0;
+  let sumB = 0;
+  source.forEach(([sx, sy], i) => {
+    const w = weights[i];
+    const dx = sx - mx;
+    const dy = parity * sy - my;
+    const du = target[i][0] - mu;
+    const dv = target[i][1] - mv;
+    norm += w * (dx * dx + dy * dy);
+    sumA += w * (dx * du + dy * dv);
+    sumB += w * (dx * dv - dy * du);
+  });
+  // A single point only fixes the translation
+  const a = norm > 0 ? sumA / norm : 1;
+  const b = norm > 0 ? sumB / norm : 0;
+  return { a, b, x: mu - a * mx + b * my, y: mv - b * mx - a * my };
+}
+
+/**
+ * A 2D transformation represented as a 3x3 matrix in homogeneous
+ * coordinates, mapping (x, y) points into (x', y') points.
+ */
+class Transform {
+  /**
+   * Initialize with a 3x3 matrix.
+   * @param {number[][]} matrix - 3x3 transformation matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix.map((row) => [...row]);
+  }
+
+  /**
+   * Name of the transformation model.
+   * @returns {string} One of "similarity", "affine" or "projective"
+   */
+  get model() {
+    return "projective";
+  }
+
+  /**
+   * Scale factor of the linear part of the transform, the square root of
+   * its area change.
+   * @returns {number} Scale factor
+   */
+  get scale() {
+    const m = this.matrix;
+    const det = (m[0][0] * m[1][1] - m[0][1] * m[1][0]) / m[2][2] ** 2;
+    return Math.sqrt(Math.abs(det));
+  }
+
+  /**
+   * Rotation angle in radians of the linear part of the transform. For
+   * models other than the similarity, this is the angle of the closest
+   * rotation. For mirrored transforms (parity -1), it is the rotation
+   * applied after flipping the y axis.
+   * @returns {number} Rotation angle in (-pi, pi]
+   */
+  get rotation() {
+    const m = this.matrix;
+    return this.parity === 1
+      ? Math.atan2(m[1][0] - m[0][1], m[0][0] + m[1][1])
+      : Math.atan2(m[1][0] + m[0][1], m[0][0] - m[1][1]);
+  }
+
+  /**
+   * Parity of the transform: -1 if it mirrors the image, e.g. the frames of
+   * a telescope with a diagonal mirror or a flipped camera readout, and 1
+   * otherwise. It is the sign of the area change at the origin.
+   * @returns {number} 1 or -1
+   */
+  get parity() {
+    return this.areaChange([0, 0]) < 0 ? -1 : 1;
+  }
+
+  /**
+   * Translation of the transform, i.e. the image of the origin.
+   * @returns {number[]} Translation (x, y)
+   */
+  get translation() {
+    return this.apply([0, 0]);
+  }
+
+  /**
+   * Transform a point or an array of points.
+   *
+   * @param {number[]|number[][]} points - An (x, y) point or an array of them
+   * @returns {number[]|number[][]} The transformed point or points
+   */
+  apply(points) {
+    const m = this.matrix;
+    const applyOne = ([x, y]) => {
+      const w = m[2][0] * x + m[2][1] * y + m[2][2];
+      return [
+        (m[0][0] * x + m[0][1] * y + m[0][2]) / w,
+        (m[1][0] * x + m[1][1] * y + m[1][2]) / w,
+      ];
+    };
+    return typeof points[0] === "number"
+      ? applyOne(points)
+      : points.map(applyOne);
+  }
+
+  /**
+   * Local area change of the transform at a point: the determinant of its
+   * Jacobian. It is the same at every point for similarity and affine
+   * transforms, where it equals scale squared (negative if it mirrors).
+   *
+   * @param {number[]} point - An (x, y) point
+   * @returns {number} Jacobian determinant at the point
+   */
+  areaChange([x, y]) {
+    const m = this.matrix;
+    const det =
+      m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+      m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+      m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const w = m[2][0] * x + m[2][1] * y + m[2][2];
+    return det / w ** 3;
+  }
+
+  /**
+   * Return the inverse transformation, of the same model.
+   * @returns {Transform} The inverse transform
+   */
+  inverse() {
+    const inv = invert3x3(this.matrix);
+    return new this.constructor(
+      inv.map((row) => row.map((v) => v / inv[2][2]))
+    );
+  }
+
+  /**
+   * Return the transformation that applies this transform and then
+   * `other`. The result has the most general model of the two, e.g. a
+   * similarity composed with an affine transform is affine.
+   *
+   * @param {Transform|Object} other - Transform applied after this one, or a nudged transform
+   * @returns {Transform} The composed transform
+   * @throws {TypeError} If either transform is a PolynomialTransform
+   */
+  compose(other) {
+    const next = toTransform(other);
+    if (this.model === "polynomial" || next.model === "polynomial") {
+      throw new TypeError("Polynomial transforms cannot be composed.");
+    }
+    const m = multiply3x3(next.matrix, this.matrix);
+    const models = Object.keys(TRANSFORM_MODELS);
+    const model =
+      models[Math.max(models.indexOf(this.model), models.indexOf(next.model))];
+    const TransformClass = transformClass(model);
+    return new TransformClass(m.map((row) => row.map((v) => v / m[2][2])));
+  }
+
+  /**
+   * Return a copy of the 3x3 matrix of the transform.
+   * @returns {number[][]} 3x3 transformation matrix
+   */
+  toMatrix() {
+    return this.matrix.map((row) => [...row]);
+  }
+
+  /**
+   * Return a plain object with the model and matrix of the transform, so
+   * that JSON.stringify can serialize it. See Transform.fromJSON.
+   * @returns {Object} `{model, matrix}`
+   */
+  toJSON() {
+    return { model: this.model, matrix: this.toMatrix() };
+  }
+
+  /**
+   * Create a transform from the output of toJSON, or its JSON text.
+   *
+   * @param {Object|string} json - `{model, matrix}` object, the fields of a PolynomialTransform, or JSON text
+   * @returns {Transform} A transform of the class of the model
+   * @throws {TypeError} If the model is unknown or the matrix or polynomials are not arrays of numbers of the right size
+   */
+  static fromJSON(json) {
+    const fields = typeof json === "string" ? JSON.parse(json) : json;
+    const { model, matrix } = fields;
+    if (model === "polynomial") {
+      return polynomialFromJSON(fields);
+    }
+    const TransformClass = transformClass(model);
+    const valid =
+      Array.isArray(matrix) &&
+      matrix.length === 3 &&
+      matrix.every(
+        (row) =>
+          Array.isArray(row) &&
+          row.length === 3 &&
+          row.every((v) => Number.isFinite(v))
+      );
+    if (!valid) {
+      throw new TypeError(
+        "The transform matrix must be a 3x3 array of numbers."
+      );
+    }
+    return new TransformClass(matrix);
+  }
+
+  /**
+   * Return the residual distances between the transformed source points and
+   * the target points.
+   *
+   * @param {number[][]} source - Array of (x, y) source points
+   * @param {number[][]} target - Array of (x, y) target points
+   * @returns {number[]} Euclidean distance for each pair of points
+   */
+  residuals(source, target) {
+    return this.apply(source).map(([x, y], i) =>
+      Math.hypot(x - target[i][0], y - target[i][1])
+    );
+  }
+}
+
+/**
+ * Similarity transformation: translation, scale and rotation (TSR).
+ *
+ * Exposes the parameters a, b, x, y of the equivalent nudged transform, so
+ * it can also be used with the nudged functions. A mirrored similarity
+ * (parity -1) first flips the y axis, (x, y) -> (x, -y), and then applies
+ * the nudged transform of these parameters.
+ */
+class SimilarityTransform extends Transform {
+  get model() {
+    return "similarity";
+  }
+
+  get a() {
+    return this.matrix[0][0];
+  }
+
+  get b() {
+    return this.matrix[1][0];
+  }
+
+  get x() {
+    return this.matrix[0][2];
+  }
+
+  get y() {
+    return this.matrix[1][2];
+  }
+
+  /**
+   * Create a similarity transform from a nudged transform.
+   * @param {Object} tr - nudged transform {a, b, x, y}
+   * @returns {SimilarityTransform} The equivalent transform
+   */
+  static fromNudged({ a, b, x, y }) {
+    return new SimilarityTransform([
+      [a, -b, x],
+      [b, a, y],
+      [0, 0, 1],
+    ]);
+  }
+
+  /**
+   * Estimate the least squares similarity that maps source into target.
+   *
+   * @param {number[][]} source - Array of at least 2 (x, y) source points
+   * @param {number[][]} target - Array of (x, y) target points
+   * @param {number} parity - 1 (default) for a proper similarity, or -1 for a mirrored one
+   * @param {number[]|null} weights - Weight of each pair of points, or null (default) for equal weights
+   * @returns {SimilarityTransform} The estimated transform
+   */
+  static estimate(source, target, parity = 1, weights = null) {
+    const { a, b, x, y } =
+      weights === null
+        ? nudged.estimate({
+            estimator: "TSR",
+            domain: source.map(([sx, sy]) =>
+              nudged.point.create(sx, parity * sy)
+            ),
+            range: target.map((p) => nudged.point.fromArray(p)),
+          })
+        : weightedSimilarity(source, target, parity, weights);
+    return new SimilarityTransform([
+      [a, -b * parity, x],
+      [b, a * parity, y],
+      [0, 0, 1],
+    ]);
+  }
+}
+
+/**
+ * Affine transformation: translation, rotation, scale, and shear (6
+ * parameters).
+ */
+class AffineTransform extends Transform {
+  get model() {
+    return "affine";
+  }
+
+  /**
+   * Estimate the least squares affine transform that maps source into
+   * target.
+   *
+   * @param {number[][]} source - Array of at least 3 non-collinear (x, y) source points
+   * @param {number[][]} target - Array of (x, y) target points
+   * @param {number[]|null} weights - Weight of each pair of points, or null (default) for equal weights
+   * @returns {AffineTransform} The estimated transform
+   */
+  static estimate(source, target, weights = null) {
+    // Center the source points to keep the normal equations well conditioned
+    const w = weights ?? source.map(() => 1);
+    const sumW = w.reduce((sum, v) => sum + v, 0);
+    const mx = source.reduce((sum, p, i) => sum + w[i] * p[0], 0) / sumW;
+    const my = source.reduce((sum, p, i) => sum + w[i] * p[1], 0) / sumW;
+    const X = source.map(([x, y]) => [x - mx, y - my, 1]);
+    const [a, b, c] = leastSquares(
+      X,
+      target.map((p) => p[0]),
+      weights
+    );
+    const [d, e, f] = leastSquares(
+      X,
+      target.map((p) => p[1]),
+      weights
+    );
+    return new AffineTransform([
+      [a, b, c - a * mx - b * my],
+      [d, e, f - d * mx - e * my],
+      [0, 0, 1],
+    ]);
+  }
+}
+
+/**
+ * Projective transformation or homography (8 parameters).
+ */
+class ProjectiveTransform extends Transform {
+  get model() {
+    return "projective";
+  }
+
+  /**
+   * Estimate the least squares homography that maps source into target,
+   * with the normalized direct linear transformation (DLT) algorithm.
+   *
+   * @param {number[][]} source - Array of at least 4 (x, y) source points, no 3 of them collinear
+   * @param {number[][]} target - Array of (x, y) target points
+   * @param {number[]|null} weights - Weight of each pair of points, or null (default) for equal weights
+   * @returns {ProjectiveTransform} The estimated transform
+   */
+  static estimate(source, target, weights = null) {
+    const tSrc = normalizingMatrix(source);
+    const tDst = normalizingMatrix(target);
+    const src = new Transform(tSrc).apply(source);
+    const dst = new Transform(tDst).apply(target);
+
+    const X = [];
+    const y = [];
+    src.forEach(([sx, sy], i) => {
+      const [dx, dy] = dst[i];
+      X.push([sx, sy, 1, 0, 0, 0, -sx * dx, -sy * dx]);
+      y.push(dx);
+      X.push([0, 0, 0, sx, sy, 1, -sx * dy, -sy * dy]);
+      y.push(dy);
+    });
+    // Each point gives two equations
+    const h = leastSquares(
+      X,
+      y,
+      weights === null ? null : weights.flatMap((w) => [w, w])
+    );
+    const hNorm = [
+      [h[0], h[1], h[2]],
+      [h[3], h[4], h[5]],
+      [h[6], h[7], 1],
+    ];
+
+    const m = multiply3x3(invert3x3(tDst), multiply3x3(hNorm, tSrc));
+    return new ProjectiveTransform(m.map((row) => row.map((v) => v / m[2][2])));
+  }
+}
+
+/**
+ * Return the exponents [i, j] of the monomials x^i y^j of a 2D polynomial,
+ * by increasing total degree: 1, x, y, x^2, x y, y^2, x^3...
+ *
+ * @param {number} order - Maximum total degree of the polynomial
+ * @returns {number[][]} Array of [i, j] exponents
+ */
+function polynomialTerms(order) {
+  const terms = [];
+  for (let n = 0; n <= order; n++) {
+    for (let j = 0; j <= n; j++) {
+      terms.push([n - j, j]);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Return the least squares coefficients of the 2D polynomials that map the
+ * source points into the target points, in the terms of polynomialTerms and
+ * in coordinates relative to `center`.
+ *
+ * @param {number[][]} source - Array of (x, y) source points
+ * @param {number[][]} target - Array of (x, y) target points
+ * @param {number} order - Order of the polynomials
+ * @param {number[]} center - The (x, y) origin of the source coordinates
+ * @returns {number[][]} The coefficients of the x and y polynomials
+ */
+function fitPolynomial(source, target, order, center) {
+  const terms = polynomialTerms(order);
+  // Scale the coordinates to about [-1, 1] to keep the normal equations
+  // well conditioned
+  const scale =
+    Math.max(
+      ...source.map(([x, y]) =>
+        Math.max(Math.abs(x - center[0]), Math.abs(y - center[1]))
+      )
+    ) || 1;
+  const X = source.map(([x, y]) => {
+    const u = (x - center[0]) / scale;
+    const v = (y - center[1]) / scale;
+    return terms.map(([i, j]) => u ** i * v ** j);
+  });
+  return [0, 1].map((axis) =>
+    leastSquares(
+      X,
+      target.map((p) => p[axis])
+    ).map((c, k) => c / scale ** (terms[k][0] + terms[k][1]))
+  );
+}
+
+/**
+ * Non-linear transformation given by 2D polynomials, for the field
+ * distortion of wide-field images.
+ *
+ * Like the SIP convention of FITS WCS, it stores the polynomials of both
+ * directions, fitted on the same points: the forward polynomials map source
+ * (x, y) positions into the target, in coordinates relative to `center`,
+ * and the inverse polynomials map target positions back into the source,
+ * relative to `inverseCenter`. The coefficients follow the order of the
+ * monomials 1, x, y, x^2, x y, y^2, x^3... up to the order of the
+ * polynomials.
+ *
+ * Polynomials diverge quickly away from the points they were fitted on, so
+ * the transform is only meant to be used inside of their area. The matrix
+ * is the linear part of the forward polynomials at the center, so the
+ * scale, rotation and parity are those of the transform at that point.
+ */
+class PolynomialTransform extends Transform {
+  /**
+   * Initialize with the polynomial coefficients.
+   *
+   * @param {Object} fields - Polynomial fields
+   * @param {number} fields.order - Order of the polynomials
+   * @param {number[]} fields.center - The (x, y) origin of the source coordinates
+   * @param {number[][]} fields.coefficients - Coefficients of the forward x and y polynomials
+   * @param {number[]} fields.inverseCenter - The (x, y) origin of the target coordinates
+   * @param {number[][]} fields.inverseCoefficients - Coefficients of the inverse x and y polynomials
+   */
+  constructor({
+    order,
+    center,
+    coefficients,
+    inverseCenter,
+    inverseCoefficients,
+  }) {
+    const [[a0, a1, a2], [b0, b1, b2]] = coefficients;
+    const [cx, cy] = center;
+    super([
+      [a1, a2, a0 - a1 * cx - a2 * cy],
+      [b1, b2, b0 - b1 * cx - b2 * cy],
+      [0, 0, 1],
+    ]);
+    this.order = order;
+    this.center = [...center];
+    this.coefficients = coefficients.map((c) => [...c]);
+    this.inverseCenter = [...inverseCenter];
+    this.inverseCoefficients = inverseCoefficients.map((c) => [...c]);
+  }
+
+  get model() {
+    return "polynomial";
+  }
+
+  /**
+   * Transform a point or an array of points.
+   *
+   * @param {number[]|number[][]} points - An (x, y) point or an array of them
+   * @returns {number[]|number[][]} The transformed point or points
+   */
+  apply(points) {
+    const terms = polynomialTerms(this.order);
+    const [ax, ay] = this.coefficients;
+    const [cx, cy] = this.center;
+    const applyOne = ([x, y]) => {
+      const u = x - cx;
+      const v = y - cy;
+      let px = 0;
+      let py = 0;
+      terms.forEach(([i, j], k) => {
+        const term = u ** i * v ** j;
+        px += ax[k] * term;
+        py += ay[k] * term;
+      });
+      return [px, py];
+    };
+    return typeof points[0] === "number"
+      ? applyOne(points)
+      : points.map(applyOne);
+  }
+
+  /**
+   * Local area change of the transform at a point: the determinant of the
+   * Jacobian of the forward polynomials.
+   *
+   * @param {number[]} point - An (x, y) point
+   * @returns {number} Jacobian determinant at the point
+   */
+  areaChange([x, y]) {
+    const terms = polynomialTerms(this.order);
+    const [ax, ay] = this.coefficients;
+    const u = x - this.center[0];
+    const v = y - this.center[1];
+    let dxdu = 0;
+    let dxdv = 0;
+    let dydu = 0;
+    let dydv = 0;
+    terms.forEach(([i, j], k) => {
+      const du = i > 0 ? i * u ** (i - 1) * v ** j : 0;
+      const dv = j > 0 ? j * u ** i * v ** (j - 1) : 0;
+      dxdu += ax[k] * du;
+      dxdv += ax[k] * dv;
+      dydu += ay[k] * du;
+      dydv += ay[k] * dv;
+    });
+    return dxdu * dydv - dxdv * dydu;
+  }
+
+  /**
+   * Return the inverse transformation, which swaps the forward and inverse
+   * polynomials.
+   * @returns {PolynomialTransform} The inverse transform
+   */
+  inverse() {
+    return new PolynomialTransform({
+      order: this.order,
+      center: this.inverseCenter,
+      coefficients: this.inverseCoefficients,
+      inverseCenter: this.center,
+      inverseCoefficients: this.coefficients,
+    });
+  }
+
+  /**
+   * Return a plain object with the polynomials of the transform, so that
+   * JSON.stringify can serialize it. See Transform.fromJSON.
+   * @returns {Object} `{model, order, center, coefficients, inverseCenter, inverseCoefficients}`
+   */
+  toJSON() {
+    return {
+      model: this.model,
+      order: this.order,
+      center: [...this.center],
+      coefficients: this.coefficients.map((c) => [...c]),
+      inverseCenter: [...this.inverseCenter],
+      inverseCoefficients: this.inverseCoefficients.map((c) => [...c]),
+    };
+  }
+
+  /**
+   * Estimate the least squares polynomial transform that maps source into
+   * target, and its inverse.
+   *
+   * @param {number[][]} source - Array of (x, y) source points, at least as many as the coefficients of each polynomial, (order + 1) (order + 2) / 2
+   * @param {number[][]} target - Array of (x, y) target points
+   * @param {number} order - Order of the polynomials (default 3)
+   * @returns {PolynomialTransform} The estimated transform
+   */
+  static estimate(source, target, order = 3) {
+    const centroid = (points) =>
+      [0, 1].map(
+        (axis) => points.reduce((sum, p) => sum + p[axis], 0) / points.length
+      );
+    const center = centroid(source);
+    const inverseCenter = centroid(target);
+    return new PolynomialTransform({
+      order,
+      center,
+      coefficients: fitPolynomial(source, target, order, center),
+      inverseCenter,
+      inverseCoefficients: fitPolynomial(target, source, order, inverseCenter),
+    });
+  }
+}
+
+/**
+ * Create a PolynomialTransform from the output of its toJSON, checking the
+ * size of the polynomials.
+ *
+ * @param {Object} json - `{order, center, coefficients, inverseCenter, inverseCoefficients}` object
+ * @returns {PolynomialTransform} The transform
+ * @throws {TypeError} If the fields are not arrays of numbers of the right size
+ */
+function polynomialFromJSON(json) {
+  const { order, center, coefficients, inverseCenter, inverseCoefficients } =
+    json;
+  const isVector = (v, length) =>
+    Array.isArray(v) &&
+    v.length === length &&
+    v.every((x) => Number.isFinite(x));
+  const nTerms = ((order + 1) * (order + 2)) / 2;
+  const valid =
+    Number.isInteger(order) &&
+    order >= 1 &&
+    isVector(center, 2) &&
+    isVector(inverseCenter, 2) &&
+    [coefficients, inverseCoefficients].every(
+      (c) =>
+        Array.isArray(c) &&
+        c.length === 2 &&
+        c.every((axis) => isVector(axis, nTerms))
+    );
+  if (!valid) {
+    throw new TypeError(
+      "A polynomial transform needs an order, two centers and two pairs of " +
+        "coefficient arrays with one number per term."
+    );
+  }
+  return new PolynomialTransform(json);
+}
+
+const TRANSFORM_MODELS = {
+  similarity: SimilarityTransform,
+  affine: AffineTransform,
+  projective: ProjectiveTransform,
+};
+
+/**
+ * Return the transform class for a model name.
+ *
+ * @param {string} model - One of "similarity", "affine" or "projective"
+ * @returns {Function} The transform class
+ */
+function transformClass(model) {
+  if (!Object.hasOwn(TRANSFORM_MODELS, model)) {
+    throw new TypeError(
+      `Unknown transform model "${model}", ` +
+        `expected one of ${Object.keys(TRANSFORM_MODELS).join(", ")}.`
+    );
+  }
+  return TRANSFORM_MODELS[model];
+}
+
+/**
+ * Convert a nudged transform into a SimilarityTransform. Library transforms
+ * are returned as they are.
+ *
+ * @param {Transform|Object} transform - A Transform or a nudged transform
+ * @returns {Transform} The equivalent Transform
+ */
+function toTransform(transform) {
+  return transform instanceof Transform
+    ? transform
+    : SimilarityTransform.fromNudged(transform);
+}
+
+export {
+  Transform,
+  SimilarityTransform,
+  AffineTransform,
+  ProjectiveTransform,
+  PolynomialTransform,
+  transformClass,
+  toTransform,
+  solve,
+};
@@ -0,0 +1,403 @@
+import { describe, it, expect } from "vitest";
+import {
+  Transform,
+  SimilarityTransform,
+  AffineTransform,
+  ProjectiveTransform,
+  PolynomialTransform,
+  transformClass,
+  toTransform,
+} from "./transform.js";
+import nudged from "nudged";
+
+const source = [
+  [1.4, 2.2],
+  [5.3, 1.0],
+  [3.7, 1.5],
+  [10.1, 9.6],
+  [1.3, 10.2],
+  [7.1, 2.0],
+];
+
+describe("SimilarityTransform", () => {
+  it("estimates the transform and is compatible with nudged", () => {
+    const expected = nudged.transform.create(1.2, -0.4, 3.0, -1.0);
+    const target = source.map((p) =>
+      nudged.point.toArray(
+        nudged.point.transform(nudged.point.fromArray(p), expected)
+      )
+    );
+
+    const t = SimilarityTransform.estimate(source, target);
+
+    expect(t.model).toBe("similarity");
+    expect(nudged.transform.almostEqual(t, expected)).toBe(true);
+    expect(Math.max(...t.residuals(source, target))).toBeLessThan(1e-10);
+  });
+
+  it("estimates mirrored transforms", () => {
+    const expected = nudged.transform.create(1.2, -0.4, 3.0, -1.0);
+    // Flip the y axis before the nudged transform
+    const target = source.map(([x, y]) =>
+      nudged.point.toArray(
+        nudged.point.transform(nudged.point.create(x, -y), expected)
+      )
+    );
+
+    const t = SimilarityTransform.estimate(source, target, -1);
+
+    expect(t.parity).toBe(-1);
+    expect(nudged.transform.almostEqual(t, expected)).toBe(true);
+    expect(Math.max(...t.residuals(source, target))).toBeLessThan(1e-10);
+    expect(t.rotation).toBeCloseTo(Math.atan2(-0.4, 1.2), 10);
+    expect(t.scale).toBeCloseTo(Math.hypot(1.2, 0.4), 10);
+    const proper = SimilarityTransform.estimate(source, target);
+    expect(Math.max(...proper.residuals(source, target))).toBeGreaterThan(1);
+  });
+});
+
+describe("AffineTransform", () => {
+  it("estimates a transform with shear", () => {
+    const expected = new AffineTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0, 0, 1],
+    ]);
+    const target = expected.apply(source);
+
+    const t = AffineTransform.estimate(source, target);
+
+    expect(t.model).toBe("affine");
+    t.matrix.flat().forEach((v, i) => {
+      expect(v).toBeCloseTo(expected.matrix.flat()[i], 10);
+    });
+  });
+
+  it("throws for collinear points", () => {
+    const line = [
+      [0, 0],
+      [1, 1],
+      [2, 2],
+    ];
+    expect(() => AffineTransform.estimate(line, line)).toThrow(
+      "Singular system"
+    );
+  });
+});
+
+describe("ProjectiveTransform", () => {
+  it("estimates a homography", () => {
+    const expected = new ProjectiveTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0.01, -0.02, 1],
+    ]);
+    const target = expected.apply(source);
+
+    const t = ProjectiveTransform.estimate(source, target);
+
+    expect(t.model).toBe("projective");
+    t.matrix.flat().forEach((v, i) => {
+      expect(v).toBeCloseTo(expected.matrix.flat()[i], 8);
+    });
+  });
+});
+
+describe("PolynomialTransform", () => {
+  // A rotation with a radial distortion around (50, 40)
+  const distort = ([x, y]) => {
+    const [u, v] = [x - 50, y - 40];
+    const k = 1 + 5e-6 * (u * u + v * v);
+    return [0.8 * u * k - 0.6 * v * k + 60, 0.6 * u * k + 0.8 * v * k + 45];
+  };
+  const grid = [];
+  for (let y = 0; y <= 80; y += 10) {
+    for (let x = 0; x <= 100; x += 10) {
+      grid.push([x, y]);
+    }
+  }
+
+  it("estimates the polynomials and their inverse", () => {
+    const target = grid.map(distort);
+    const t = PolynomialTransform.estimate(grid, target, 3);
+
+    expect(t.model).toBe("polynomial");
+    expect(t.coefficients[0]).toHaveLength(10);
+    expect(Math.max(...t.residuals(grid, target))).toBeLessThan(1e-8);
+    expect(Math.max(...t.inverse().residuals(target, grid))).toBeLessThan(0.01);
+    // The linear part at the center is the rotation
+    expect(t.rotation).toBeCloseTo(Math.atan2(0.6, 0.8), 2);
+    expect(t.scale).toBeCloseTo(1, 2);
+    expect(t.parity).toBe(1);
+
+    // Compare with the area of a small square mapped by the transform
+    const h = 1e-4;
+    const [p0, px, py] = t.apply([
+      [90, 70],
+      [90 + h, 70],
+      [90, 70 + h],
+    ]);
+    const area =
+      (px[0] - p0[0]) * (py[1] - p0[1]) - (px[1] - p0[1]) * (py[0] - p0[0]);
+    expect(t.areaChange([90, 70])).toBeCloseTo(area / h ** 2, 4);
+  });
+
+  it("serializes to and from JSON", () => {
+    const t = PolynomialTransform.estimate(grid, grid.map(distort), 2);
+    const restored = Transform.fromJSON(JSON.stringify(t));
+    expect(restored).toBeInstanceOf(PolynomialTransform);
+    expect(restored.toJSON()).toEqual(t.toJSON());
+    expect(restored.apply([12, 34])).toEqual(t.apply([12, 34]));
+
+    expect(() =>
+      Transform.fromJSON({ ...t.toJSON(), coefficients: [[1, 2, 3], []] })
+    ).toThrow(TypeError);
+    expect(() => t.compose(t)).toThrow(TypeError);
+    expect(() => new AffineTransform(t.matrix).compose(t)).toThrow(TypeError);
+  });
+});
+
+describe("weighted estimates", () => {
+  const expected = new AffineTransform([
+    [1.1, -0.4, 5.0],
+    [0.4, 1.1, -2.0],
+    [0, 0, 1],
+  ]);
+  // The last target point is off by 3 pixels, but has a tiny weight
+  const target = expected
+    .apply(source)
+    .map(([x, y], i) => (i === source.length - 1 ? [x + 3, y] : [x, y]));
+  const weights = source.map((_, i) => (i === source.length - 1 ? 1e-9 : 1));
+
+  it("downweights the noisy points", () => {
+    for (const fit of [
+      (w) => SimilarityTransform.estimate(source, target, 1, w),
+      (w) => AffineTransform.estimate(source, target, w),
+      (w) => ProjectiveTransform.estimate(source, target, w),
+    ]) {
+      const good = source.slice(0, -1);
+      const goodTarget = target.slice(0, -1);
+      expect(
+        Math.max(...fit(weights).residuals(good, goodTarget))
+      ).toBeLessThan(1e-6);
+      expect(
+        Math.max(...fit(null).residuals(good, goodTarget))
+      ).toBeGreaterThan(0.1);
+    }
+  });
+
+  it("matches the unweighted fit with equal weights", () => {
+    const ones = source.map(() => 2);
+    for (const parity of [1, -1]) {
+      const weighted = SimilarityTransform.estimate(
+        source,
+        target,
+        parity,
+        ones
+      );
+      const unweighted = SimilarityTransform.estimate(source, target, parity);
+      weighted.matrix.flat().forEach((v, i) => {
+        expect(v).toBeCloseTo(unweighted.matrix.flat()[i], 10);
+      });
+    }
+    const weighted = AffineTransform.estimate(source, target, ones);
+    weighted.matrix.flat().forEach((v, i) => {
+      expect(v).toBeCloseTo(
+        AffineTransform.estimate(source, target).matrix.flat()[i],
+        10
+      );
+    });
+  });
+});
+
+describe("Transform", () => {
+  it("applies to single points and arrays of points", () => {
+    const t = new Transform([
+      [2, 0, 1],
+      [0, 3, -1],
+      [0, 0, 1],
+    ]);
+    expect(t.apply([1, 1])).toEqual([3, 2]);
+    expect(
+      t.apply([
+        [1, 1],
+        [0, 0],
+      ])
+    ).toEqual([
+      [3, 2],
+      [1, -1],
+    ]);
+  });
+
+  it("decomposes into scale, rotation and translation", () => {
+    const t = SimilarityTransform.fromNudged(
+      nudged.transform.create(Math.cos(0.3) * 2, Math.sin(0.3) * 2, 4, -1)
+    );
+    expect(t.scale).toBeCloseTo(2, 10);
+    expect(t.rotation).toBeCloseTo(0.3, 10);
+    expect(t.translation).toEqual([4, -1]);
+
+    const shear = new AffineTransform([
+      [2, 1, 3],
+      [0, 2, 5],
+      [0, 0, 1],
+    ]);
+    expect(shear.scale).toBeCloseTo(2, 10);
+    expect(shear.translation).toEqual([3, 5]);
+    expect(t.parity).toBe(1);
+    expect(shear.parity).toBe(1);
+  });
+
+  it("inverts transforms keeping the model", () => {
+    for (const t of [
+      new SimilarityTransform([
+        [0.5, -1, 2],
+        [1, 0.5, 3],
+        [0, 0, 1],
+      ]),
+      new AffineTransform([
+        [1.1, 0.3, 5.0],
+        [-0.2, 0.9, -2.0],
+        [0, 0, 1],
+      ]),
+      new ProjectiveTransform([
+        [1.1, 0.3, 5.0],
+        [-0.2, 0.9, -2.0],
+        [0.01, -0.02, 1],
+      ]),
+    ]) {
+      const inv = t.inverse();
+      expect(inv.model).toBe(t.model);
+      inv.apply(t.apply(source)).forEach(([x, y], i) => {
+        expect(x).toBeCloseTo(source[i][0], 10);
+        expect(y).toBeCloseTo(source[i][1], 10);
+      });
+    }
+  });
+
+  it("computes the local area change", () => {
+    const similarity = SimilarityTransform.fromNudged(
+      nudged.transform.create(Math.cos(0.3) * 2, Math.sin(0.3) * 2, 4, -1)
+    );
+    expect(similarity.areaChange([10, 20])).toBeCloseTo(4, 10);
+    expect(similarity.inverse().areaChange([0, 0])).toBeCloseTo(0.25, 10);
+
+    // Compare with the area of a small square mapped by the transform
+    const projective = new ProjectiveTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0.01, -0.02, 1],
+    ]);
+    const h = 1e-4;
+    const [p0, px, py] = projective.apply([
+      [7, 3],
+      [7 + h, 3],
+      [7, 3 + h],
+    ]);
+    const area =
+      (px[0] - p0[0]) * (py[1] - p0[1]) - (px[1] - p0[1]) * (py[0] - p0[0]);
+    expect(projective.areaChange([7, 3])).toBeCloseTo(area / h ** 2, 4);
+  });
+
+  it("composes transforms keeping the most general model", () => {
+    const similarity = new SimilarityTransform([
+      [0.5, -1, 2],
+      [1, 0.5, 3],
+      [0, 0, 1],
+    ]);
+    const affine = new AffineTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0, 0, 1],
+    ]);
+    const composed = similarity.compose(affine);
+    expect(composed).toBeInstanceOf(AffineTransform);
+    composed.apply(source).forEach(([x, y], i) => {
+      const [ex, ey] = affine.apply(similarity.apply(source[i]));
+      expect(x).toBeCloseTo(ex, 10);
+      expect(y).toBeCloseTo(ey, 10);
+    });
+
+    const twice = similarity.compose(nudged.transform.create(1, 0, 4, -1));
+    expect(twice).toBeInstanceOf(SimilarityTransform);
+    expect(twice.apply([0, 0])).toEqual([6, 2]);
+
+    const identity = similarity.compose(similarity.inverse());
+    identity.apply(source).forEach(([x, y], i) => {
+      expect(x).toBeCloseTo(source[i][0], 10);
+      expect(y).toBeCloseTo(source[i][1], 10);
+    });
+  });
+
+  it("serializes to and from JSON", () => {
+    for (const t of [
+      new SimilarityTransform([
+        [0.5, -1, 2],
+        [1, 0.5, 3],
+        [0, 0, 1],
+      ]),
+      new ProjectiveTransform([
+        [1.1, 0.3, 5.0],
+        [-0.2, 0.9, -2.0],
+        [0.01, -0.02, 1],
+      ]),
+    ]) {
+      const text = JSON.stringify(t);
+      expect(JSON.parse(text)).toEqual({ model: t.model, matrix: t.matrix });
+      for (const restored of [
+        Transform.fromJSON(text),
+        Transform.fromJSON(JSON.parse(text)),
+      ]) {
+        expect(restored).toBeInstanceOf(t.constructor);
+        expect(restored.matrix).toEqual(t.matrix);
+      }
+    }
+
+    expect(() =>
+      Transform.fromJSON({ model: "rigid", matrix: [[1, 0, 0]] })
+    ).toThrow(TypeError);
+    expect(() =>
+      Transform.fromJSON({ model: "affine", matrix: [[1, 0, 0]] })
+    ).toThrow(TypeError);
+    expect(() =>
+      Transform.fromJSON({
+        model: "affine",
+        matrix: [
+          [1, 0, "a"],
+          [0, 1, 0],
+          [0, 0, 1],
+        ],
+      })
+    ).toThrow(TypeError);
+  });
+
+  it("returns a copy of its matrix", () => {
+    const t = new AffineTransform([
+      [1.1, 0.3, 5.0],
+      [-0.2, 0.9, -2.0],
+      [0, 0, 1],
+    ]);
+    const matrix = t.toMatrix();
+    expect(matrix).toEqual(t.matrix);
+    matrix[0][2] = 100;
+    expect(t.matrix[0][2]).toBe(5.0);
+  });
+});
+
+describe("transformClass", () => {
+  it("returns the class for a model name", () => {
+    expect(transformClass("similarity")).toBe(SimilarityTransform);
+    expect(transformClass("affine")).toBe(AffineTransform);
+    expect(transformClass("projective")).toBe(ProjectiveTransform);
+    expect(() => transformClass("rigid")).toThrow(TypeError);
+  });
+});
+
+describe("toTransform", () => {
+  it("wraps nudged transforms", () => {
+    const t = toTransform(nudged.transform.create(1, 2, 3, 4));
+    expect(t).toBeInstanceOf(SimilarityTransform);
+    expect(t.apply([1, 0])).toEqual([4, 6]);
+    expect(toTransform(t)).toBe(t);
+  });
+});
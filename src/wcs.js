@@ -0,0 +1,194 @@
+// MIT License
+//
+// Copyright (c) 2016 Martin Beroiz
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { toTransform } from "./transform.js";
+
+/**
+ * Keywords copied as they are into the new WCS.
+ */
+const COPIED_KEYWORDS = [
+  "CRVAL1",
+  "CRVAL2",
+  "CUNIT1",
+  "CUNIT2",
+  "RADESYS",
+  "EQUINOX",
+  "LONPOLE",
+  "LATPOLE",
+];
+
+/**
+ * Return the CD matrix of a WCS header, from its CDi_j keywords or from
+ * CDELTi and PCi_j (or CROTA2).
+ *
+ * @param {Object} header - Header keywords, as returned by readFits
+ * @returns {number[][]|null} The 2x2 CD matrix, or null if there is none
+ */
+function cdMatrix(header) {
+  const cd = [
+    [header.CD1_1, header.CD1_2],
+    [header.CD2_1, header.CD2_2],
+  ];
+  if (cd.flat().some((v) => typeof v === "number")) {
+    return cd.map((row) => row.map((v) => v ?? 0));
+  }
+  const { CDELT1, CDELT2 } = header;
+  if (typeof CDELT1 !== "number" || typeof CDELT2 !== "number") {
+    return null;
+  }
+  let pc;
+  if (
+    [header.PC1_1, header.PC1_2, header.PC2_1, header.PC2_2].some(
+      (v) => typeof v === "number"
+    )
+  ) {
+    pc = [
+      [header.PC1_1 ?? 1, header.PC1_2 ?? 0],
+      [header.PC2_1 ?? 0, header.PC2_2 ?? 1],
+    ];
+  } else {
+    const rho = ((header.CROTA2 ?? 0) * Math.PI) / 180;
+    pc = [
+      [Math.cos(rho), (-Math.sin(rho) * CDELT2) / CDELT1],
+      [(Math.sin(rho) * CDELT1) / CDELT2, Math.cos(rho)],
+    ];
+  }
+  return [
+    [CDELT1 * pc[0][0], CDELT1 * pc[0][1]],
+    [CDELT2 * pc[1][0], CDELT2 * pc[1][1]],
+  ];
+}
+
+/**
+ * Return the Jacobian of the transform at a point, by central differences.
+ *
+ * @param {Transform} transform - The transform
+ * @param {number[]} point - An (x, y) point
+ * @returns {number[][]} The 2x2 Jacobian matrix
+ */
+function jacobian(transform, [x, y]) {
+  const h = 0.5;
+  const [x1, y1] = transform.apply([x + h, y]);
+  const [x0, y0] = transform.apply([x - h, y]);
+  const [x3, y3] = transform.apply([x, y + h]);
+  const [x2, y2] = transform.apply([x, y - h]);
+  return [
+    [(x1 - x0) / (2 * h), (x3 - x2) / (2 * h)],
+    [(y1 - y0) / (2 * h), (y3 - y2) / (2 * h)],
+  ];
+}
+
+/**
+ * Return the WCS of frame G from the WCS of frame F and the transform that
+ * maps pixels of F into pixels of G.
+ *
+ * @param {Object} header - WCS header keywords of frame F
+ * @param {Transform|Object} transform - Transform from F pixels into G pixels
+ * @returns {Object} WCS header keywords of frame G
+ * @throws {TypeError} If the header has no celestial WCS
+ */
+function transformWcs(header, transform) {
+  const cd = cdMatrix(header);
+  const { CRPIX1, CRPIX2, CRVAL1, CRVAL2 } = header;
+  if (
+    cd === null ||
+    [CRPIX1, CRPIX2, CRVAL1, CRVAL2].some((v) => typeof v !== "number")
+  ) {
+    throw new TypeError(
+      "The header has no WCS: it needs CRPIX1/2, CRVAL1/2 and either " +
+        "CDi_j or CDELT1/2."
+    );
+  }
+  const t = toTransform(transform);
+
+  // FITS pixels start at 1, the pixels of the transforms at 0
+  const crpixF = [CRPIX1 - 1, CRPIX2 - 1];
+  const crpixG = t.apply(crpixF);
+  // world = CD_F (p - CRPIX_F) = CD_F J^-1 (q - CRPIX_G) near the reference
+  const [[a, b], [c, d]] = jacobian(t, crpixF);
+  const det = a * d - b * c;
+  const inv = [
+    [d / det, -b / det],
+    [-c / det, a / det],
+  ];
+
+  const wcs = { WCSAXES: 2 };
+  for (const axis of [1, 2]) {
+    const ctype = header[`CTYPE${axis}`];
+    if (typeof ctype === "string") {
+      // Distortion terms are not propagated, see sourceWcs
+      wcs[`CTYPE${axis}`] = ctype.replace(/-SIP$/, "");
+    }
+  }
+  wcs.CRPIX1 = crpixG[0] + 1;
+  wcs.CRPIX2 = crpixG[1] + 1;
+  for (const keyword of COPIED_KEYWORDS) {
+    if (header[keyword] !== undefined) {
+      wcs[keyword] = header[keyword];
+    }
+  }
+  for (const i of [0, 1]) {
+    for (const j of [0, 1]) {
+      wcs[`CD${i + 1}_${j + 1}`] = cd[i][0] * inv[0][j] + cd[i][1] * inv[1][j];
+    }
+  }
+  return wcs;
+}
+
+/**
+ * Derive the WCS of the source image from the WCS of the target image.
+ *
+ * The transform from findTransform maps source pixels into target pixels,
+ * so the world coordinates of a source pixel are those of its image in the
+ * target. The result is a linear WCS with the CRVALi, CTYPEi and CUNITi of
+ * the target, a new reference pixel CRPIXi and a CDi_j matrix that includes
+ * the scale, rotation and shear of the transform. It is exact for
+ * similarity and affine transforms; for projective transforms it is the
+ * linear approximation at the reference pixel.
+ *
+ * Only the WCS keywords are returned, so that they can replace those of the
+ * source header. CDELTi, PCi_j and CROTA2 are converted into CDi_j, and SIP
+ * distortion terms are dropped (along with the "-SIP" suffix of CTYPEi).
+ *
+ * @param {Object} targetHeader - Header keywords of the target image, as returned by readFits
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @returns {Object} WCS header keywords for the source image
+ * @throws {TypeError} If the target header has no WCS
+ */
+function sourceWcs(targetHeader, transform) {
+  return transformWcs(targetHeader, toTransform(transform).inverse());
+}
+
+/**
+ * Derive the WCS of the target image from the WCS of the source image, see
+ * sourceWcs.
+ *
+ * @param {Object} sourceHeader - Header keywords of the source image, as returned by readFits
+ * @param {Transform|Object} transform - Transform from source pixels into target pixels, as returned by findTransform
+ * @returns {Object} WCS header keywords for the target image
+ * @throws {TypeError} If the source header has no WCS
+ */
+function targetWcs(sourceHeader, transform) {
+  return transformWcs(sourceHeader, transform);
+}
+
+export { sourceWcs, targetWcs };
@@ -0,0 +1,153 @@
+import { describe, it, expect } from "vitest";
+import { sourceWcs, targetWcs } from "./wcs.js";
+import {
+  SimilarityTransform,
+  AffineTransform,
+  ProjectiveTransform,
+} from "./transform.js";
+
+/**
+ * Return the intermediate world coordinates of a 0-based pixel with a
+ * linear WCS.
+ */
+function world(wcs, [x, y]) {
+  const dx = x + 1 - wcs.CRPIX1;
+  const dy = y + 1 - wcs.CRPIX2;
+  return [
+    wcs.CRVAL1 + wcs.CD1_1 * dx + wcs.CD1_2 * dy,
+    wcs.CRVAL2 + wcs.CD2_1 * dx + wcs.CD2_2 * dy,
+  ];
+}
+
+const targetHeader = {
+  NAXIS1: 200,
+  NAXIS2: 150,
+  CTYPE1: "RA---TAN",
+  CTYPE2: "DEC--TAN",
+  CRPIX1: 100.5,
+  CRPIX2: 75.5,
+  CRVAL1: 10.684,
+  CRVAL2: 41.269,
+  CD1_1: -2.8e-4,
+  CD1_2: 1.1e-5,
+  CD2_1: 1.2e-5,
+  CD2_2: 2.8e-4,
+  RADESYS: "ICRS",
+};
+
+const pixels = [
+  [0, 0],
+  [99.5, 74.5],
+  [180, 20],
+  [35, 140],
+];
+
+describe("sourceWcs", () => {
+  it("gives source pixels the world coordinates of their target pixels", () => {
+    for (const transform of [
+      new SimilarityTransform([
+        [0.95, -0.31, 12],
+        [0.31, 0.95, -7],
+        [0, 0, 1],
+      ]),
+      new AffineTransform([
+        [1.02, 0.05, 3],
+        [-0.03, 0.97, 4],
+        [0, 0, 1],
+      ]),
+    ]) {
+      const wcs = sourceWcs(targetHeader, transform);
+      expect(wcs.CTYPE1).toBe("RA---TAN");
+      expect(wcs.CRVAL1).toBe(targetHeader.CRVAL1);
+      expect(wcs.RADESYS).toBe("ICRS");
+      expect(wcs.NAXIS1).toBeUndefined();
+      for (const p of pixels) {
+        const [ra, dec] = world(wcs, p);
+        const [raT, decT] = world(targetHeader, transform.apply(p));
+        expect(ra).toBeCloseTo(raT, 10);
+        expect(dec).toBeCloseTo(decT, 10);
+      }
+    }
+  });
+
+  it("approximates projective transforms near the reference pixel", () => {
+    const transform = new ProjectiveTransform([
+      [1.01, 0.02, 5],
+      [-0.02, 0.99, -3],
+      [1e-6, -2e-6, 1],
+    ]);
+    const wcs = sourceWcs(targetHeader, transform);
+    const p = transform.inverse().apply([102, 77]);
+    const [ra, dec] = world(wcs, p);
+    const [raT, decT] = world(targetHeader, [102, 77]);
+    expect(ra).toBeCloseTo(raT, 7);
+    expect(dec).toBeCloseTo(decT, 7);
+  });
+
+  it("reads CDELT with PC or CROTA2 and drops SIP distortion", () => {
+    const rho = 0.2;
+    const cdelt = {
+      ...targetHeader,
+      CTYPE1: "RA---TAN-SIP",
+      CD1_1: undefined,
+      CD1_2: undefined,
+      CD2_1: undefined,
+      CD2_2: undefined,
+      CDELT1: -2.8e-4,
+      CDELT2: 2.8e-4,
+    };
+    // PC matrix equivalent to CROTA2 for CDELT1 = -CDELT2
+    const withPC = {
+      ...cdelt,
+      PC1_1: Math.cos(rho),
+      PC1_2: Math.sin(rho),
+      PC2_1: -Math.sin(rho),
+      PC2_2: Math.cos(rho),
+    };
+    const withCROTA = { ...cdelt, CROTA2: (rho * 180) / Math.PI };
+    const shift = new SimilarityTransform([
+      [1, 0, 5],
+      [0, 1, 5],
+      [0, 0, 1],
+    ]);
+
+    const a = sourceWcs(withPC, shift);
+    const b = sourceWcs(withCROTA, shift);
+    expect(a.CTYPE1).toBe("RA---TAN");
+    expect(a.CD1_1).toBeCloseTo(-2.8e-4 * Math.cos(rho), 12);
+    expect(a.CD1_2).toBeCloseTo(-2.8e-4 * Math.sin(rho), 12);
+    for (const key of ["CD1_1", "CD1_2", "CD2_1", "CD2_2"]) {
+      expect(a[key]).toBeCloseTo(b[key], 12);
+    }
+  });
+
+  it("throws when the header has no WCS", () => {
+    const shift = new SimilarityTransform([
+      [1, 0, 5],
+      [0, 1, 5],
+      [0, 0, 1],
+    ]);
+    expect(() => sourceWcs({ NAXIS1: 10 }, shift)).toThrow(TypeError);
+  });
+});
+
+describe("targetWcs", () => {
+  it("is the inverse of sourceWcs", () => {
+    const transform = new SimilarityTransform([
+      [0.95, -0.31, 12],
+      [0.31, 0.95, -7],
+      [0, 0, 1],
+    ]);
+    const wcs = targetWcs(sourceWcs(targetHeader, transform), transform);
+    for (const key of [
+      "CRPIX1",
+      "CRPIX2",
+      "CD1_1",
+      "CD1_2",
+      "CD2_1",
+      "CD2_2",
+    ]) {
+      expect(wcs[key]).toBeCloseTo(targetHeader[key], 10);
+    }
+  });
+});
@@ -1,6 +1,7 @@
 import { defineConfig } from 'vite'
 
 export default defineConfig({
+  base: './',
   build: {
     lib: {
       entry: 'src/index.js',
@@ -9,7 +10,13 @@ export default defineConfig({
       formats: ['es']
     },
     rollupOptions: {
-      external: ['kdt', 'ml-ransac', 'ndarray-warp']
+      external: ['kdt', 'ml-ransac', 'ndarray-warp', 'node:worker_threads']
+    }
+  },
+  worker: {
+    format: 'es',
+    rollupOptions: {
+      external: ['ndarray-warp', 'node:worker_threads']
     }
   }
 })